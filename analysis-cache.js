@@ -0,0 +1,149 @@
+// Weaves Analysis Cache - Reuses analyses for unchanged pages, keyed by normalized URL plus content hash
+class WeavesAnalysisCache {
+  constructor(options = {}) {
+    this.STORAGE_KEY = 'analysisCache';
+    this.maxEntries = options.maxEntries || 200;
+    this.ttlMs = (options.ttlHours || 72) * 60 * 60 * 1000;
+
+    this.entries = new Map(); // Insertion order doubles as LRU order
+    this.stats = { hits: 0, misses: 0, evictions: 0 };
+    this.persistTimer = null;
+  }
+
+  async load() {
+    try {
+      const result = await chrome.storage.local.get([this.STORAGE_KEY]);
+      const saved = result[this.STORAGE_KEY];
+      if (saved) {
+        this.entries = new Map(saved.entries || []);
+        this.stats = { ...this.stats, ...saved.stats };
+      }
+      this.evict();
+      console.log('Loaded ' + this.entries.size + ' cached analyses');
+    } catch (error) {
+      console.warn('Failed to load analysis cache:', error);
+    }
+  }
+
+  configure({ maxEntries, ttlHours } = {}) {
+    if (maxEntries) this.maxEntries = maxEntries;
+    if (ttlHours) this.ttlMs = ttlHours * 60 * 60 * 1000;
+    if (this.evict() > 0) this.schedulePersist();
+  }
+
+  static async hash(text) {
+    const bytes = new TextEncoder().encode(text || '');
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest))
+      .map(b => b.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  // scope separates analyses made by different providers so switching models doesn't serve stale results
+  async buildKey(url, content, scope = '') {
+    return scope + '|' + WeavesUrl.normalize(url) + '#' + await WeavesAnalysisCache.hash(content);
+  }
+
+  async get(url, content, scope) {
+    const key = await this.buildKey(url, content, scope);
+    const entry = this.entries.get(key);
+
+    if (!entry || Date.now() - entry.createdAt > this.ttlMs) {
+      if (entry) this.entries.delete(key);
+      this.stats.misses++;
+      this.schedulePersist();
+      return null;
+    }
+
+    // Refresh LRU position
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.stats.hits++;
+    this.schedulePersist();
+    return entry.analysis;
+  }
+
+  async set(url, content, scope, analysis) {
+    const key = await this.buildKey(url, content, scope);
+    this.entries.delete(key);
+    this.entries.set(key, { analysis, createdAt: Date.now() });
+    this.evict();
+    this.schedulePersist();
+  }
+
+  // Drops expired entries, then the least recently used ones beyond maxEntries
+  evict() {
+    const cutoff = Date.now() - this.ttlMs;
+    let evicted = 0;
+
+    for (const [key, entry] of this.entries.entries()) {
+      if (entry.createdAt < cutoff) {
+        this.entries.delete(key);
+        evicted++;
+      }
+    }
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      evicted++;
+    }
+
+    this.stats.evictions += evicted;
+    return evicted;
+  }
+
+  schedulePersist() {
+    if (this.persistTimer) return;
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this.persist();
+    }, 1000);
+  }
+
+  async persist() {
+    try {
+      await chrome.storage.local.set({
+        [this.STORAGE_KEY]: {
+          entries: Array.from(this.entries.entries()),
+          stats: this.stats
+        }
+      });
+    } catch (error) {
+      console.error('Failed to persist analysis cache:', error);
+    }
+  }
+
+  // Rewrites every cached analysis in place, e.g. to scrub data cached before a new privacy rule
+  mapAnalyses(transform) {
+    for (const entry of this.entries.values()) {
+      entry.analysis = transform(entry.analysis);
+    }
+    this.schedulePersist();
+  }
+
+  async clear() {
+    this.entries.clear();
+    this.stats = { hits: 0, misses: 0, evictions: 0 };
+    await this.persist();
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      hits: this.stats.hits,
+      misses: this.stats.misses,
+      evictions: this.stats.evictions,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      ttlHours: Math.round(this.ttlMs / (60 * 60 * 1000))
+    };
+  }
+}
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WeavesAnalysisCache;
+} else if (typeof self !== 'undefined') {
+  self.WeavesAnalysisCache = WeavesAnalysisCache;
+}
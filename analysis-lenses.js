@@ -0,0 +1,179 @@
+// Weaves Analysis Lenses - Perspectives for the connection prompt, each with its own acceptance rules
+const WeavesAnalysisLenses = {
+  DEFAULT_LENS: 'academic',
+
+  LENSES: {
+    'academic': {
+      label: 'Academic research',
+      persona: 'You are an expert academic advisor helping students and researchers discover intellectually valuable connections that would enhance their understanding or research.',
+      goal: 'FIND CONNECTIONS THAT PROVIDE GENUINE ACADEMIC VALUE',
+      lookFor: [
+        'Methodological approaches in one that could solve limitations in another',
+        'Theoretical frameworks that bridge different disciplines',
+        'Empirical evidence that supports/challenges arguments across fields',
+        'Complementary perspectives on the same phenomenon',
+        'Historical patterns or case studies that illuminate current issues',
+        'Conceptual models that explain phenomena in different domains',
+        'Research gaps in one area filled by insights from another',
+        'Contradictions that reveal deeper questions worth investigating'
+      ],
+      litmus: 'a researcher think: "I hadn\'t considered applying this framework/method/evidence to my area of study."',
+      reasonHint: 'specific insight explaining HOW this connection advances understanding or research',
+      minStrength: 0.7,
+      minReasonLength: 50,
+      rejectPhrases: ['both mention', 'both discuss', 'both are about']
+    },
+
+    'engineering': {
+      label: 'Engineering decision',
+      persona: 'You are a senior engineer helping a team make better technical decisions by linking what they have been reading.',
+      goal: 'FIND CONNECTIONS THAT CHANGE A TECHNICAL DECISION',
+      lookFor: [
+        'A design, library or architecture in one that solves a constraint described in another',
+        'Benchmarks, incidents or postmortems that support or undermine an approach',
+        'Trade-offs (cost, latency, complexity, maintainability) one page exposes in another\'s proposal',
+        'Migration paths, compatibility issues or prerequisites that one page implies for another',
+        'Conflicting recommendations that need a decision'
+      ],
+      litmus: 'an engineer think: "This changes which option we should pick or how we should build it."',
+      reasonHint: 'the concrete decision, trade-off or risk this connection informs',
+      minStrength: 0.65,
+      minReasonLength: 40,
+      rejectPhrases: ['both mention', 'both discuss', 'both are about', 'both use', 'related technologies']
+    },
+
+    'market': {
+      label: 'Market / competitive',
+      persona: 'You are a product strategist helping a team understand markets, competitors and customers from the pages they read.',
+      goal: 'FIND CONNECTIONS WITH COMPETITIVE OR MARKET SIGNIFICANCE',
+      lookFor: [
+        'A competitor move in one that responds to, threatens or validates a strategy in another',
+        'Customer needs or complaints in one that a product, feature or pricing in another addresses',
+        'Market data that supports or contradicts a claim or forecast in another',
+        'Positioning, pricing or go-to-market patterns that carry over between companies or segments',
+        'Regulatory or industry shifts that affect a plan described elsewhere'
+      ],
+      litmus: 'a product manager think: "This affects how we position, price or prioritise."',
+      reasonHint: 'the market or competitive implication and who it affects',
+      minStrength: 0.65,
+      minReasonLength: 40,
+      rejectPhrases: ['both mention', 'both discuss', 'both are about', 'same industry', 'same market']
+    },
+
+    'learning': {
+      label: 'Learning / study',
+      persona: 'You are a patient tutor helping a learner build understanding by linking what they have studied.',
+      goal: 'FIND CONNECTIONS THAT DEEPEN UNDERSTANDING',
+      lookFor: [
+        'A prerequisite concept in one that explains something assumed in another',
+        'A worked example in one that illustrates an abstract idea in another',
+        'A different explanation of the same idea that fills a gap or clears up a misconception',
+        'A practice problem or application for a concept explained elsewhere',
+        'Ideas that contradict each other and are worth resolving'
+      ],
+      litmus: 'a learner think: "Now I understand this better than I did from either page alone."',
+      reasonHint: 'what the learner understands better by reading these together, and in what order',
+      minStrength: 0.6,
+      minReasonLength: 35,
+      rejectPhrases: ['both mention', 'both discuss', 'both are about']
+    },
+
+    'journalism': {
+      label: 'Journalism / fact-check',
+      persona: 'You are an experienced fact-checker helping a journalist verify claims and trace sources across what they have read.',
+      goal: 'FIND CONNECTIONS THAT MATTER FOR VERIFYING A STORY',
+      lookFor: [
+        'A claim in one that is confirmed, disputed or qualified by evidence in another',
+        'A primary source in one for a statistic, quote or claim repeated in another',
+        'Inconsistent numbers, dates, names or quotes between pages',
+        'The same event reported with different framing or omissions',
+        'Conflicts of interest or missing context affecting another page\'s reliability'
+      ],
+      litmus: 'a fact-checker think: "I need to check this claim against that source."',
+      reasonHint: 'the specific claim and how the other page confirms, disputes or sources it',
+      minStrength: 0.7,
+      minReasonLength: 50,
+      rejectPhrases: ['both mention', 'both discuss', 'both are about', 'both report on']
+    }
+  },
+
+  get(id) {
+    return this.LENSES[id] || this.LENSES[this.DEFAULT_LENS];
+  },
+
+  resolveId(id) {
+    return this.LENSES[id] ? id : this.DEFAULT_LENS;
+  },
+
+  list() {
+    return Object.entries(this.LENSES).map(([id, lens]) => ({ id, label: lens.label, minStrength: lens.minStrength }));
+  },
+
+  label(id) {
+    return this.LENSES[id] ? this.LENSES[id].label : 'Unknown lens';
+  },
+
+  buildConnectionPrompt(id, newAnalysis, existingAnalyses) {
+    const lens = this.get(id);
+
+    // Titles and key points derive from page text, so they are fenced as untrusted
+    const describe = content =>
+      `Title: ${content.title}\nKey Points: ${content.content}\nType: ${content.contentNature}`;
+
+    return `${lens.persona}
+
+${WeavesPromptGuard.NOTICE}
+
+NEW CONTENT:
+${WeavesPromptGuard.fence('new content', describe(newAnalysis))}
+
+EXISTING CONTENT TO COMPARE:
+${existingAnalyses.map(content =>
+  `${content.index}:\n${WeavesPromptGuard.fence('content ' + content.index, describe(content))}`
+).join('\n\n')}
+
+${lens.goal}:
+
+Look for:
+${lens.lookFor.map(item => `- ${item}`).join('\n')}
+
+IGNORE surface-level similarities like shared keywords or topics.
+
+ONLY suggest connections that would make ${lens.litmus}
+
+CLASSIFY EACH CONNECTION as exactly one type, read as "<source> <type> <target>":
+${WeavesConnectionTypes.keys().map(key =>
+  `- ${key}: the source ${WeavesConnectionTypes.TYPES[key].description} the target`
+).join('\n')}
+
+Give the direction: "new-to-existing" when the NEW CONTENT is the source, "existing-to-new" when the existing content is the source.
+
+Respond with ONLY the most valuable connections as JSON:
+
+{"connections": [{"index": <number of the existing content>, "type": "<type>", "direction": "<direction>", "strength": <${lens.minStrength}-1.0>, "reason": "<${lens.reasonHint}>"}]}
+
+Maximum 2 connections. If no genuinely valuable connections exist, respond with: {"connections": []}`;
+  },
+
+  // Returns why a schema-valid connection falls short of the lens, or null when it is acceptable.
+  // calibration comes from user feedback: positive lowers the strength bar, negative raises it
+  checkConnection(id, candidate, candidateCount, calibration = 0) {
+    const lens = this.get(id);
+    const reason = candidate.reason.trim().toLowerCase();
+    const minStrength = Math.round((lens.minStrength - calibration) * 100) / 100;
+
+    if (candidate.index >= candidateCount) return `index ${candidate.index} does not refer to compared content`;
+    if (candidate.strength < minStrength) return `strength ${candidate.strength} is below ${minStrength} for the ${lens.label} lens`;
+    if (reason.length <= lens.minReasonLength) return 'reason is too short to be a detailed insight';
+    const phrase = lens.rejectPhrases.find(p => reason.includes(p));
+    if (phrase) return `reason describes a shallow shared-topic connection ("${phrase}")`;
+    return null;
+  }
+};
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WeavesAnalysisLenses;
+} else if (typeof self !== 'undefined') {
+  self.WeavesAnalysisLenses = WeavesAnalysisLenses;
+}
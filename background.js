@@ -1,293 +1,1158 @@
-// Weaves Storage Manager - Handles daily reset and pinning system
-class WeavesStorageManager {
+importScripts('message-types.js', 'message-router.js', 'connection-types.js', 'lexical-engine.js', 'content-index.js', 'job-queue.js', 'response-parser.js', 'model-providers.js',
+  'content-db.js', 'storage-manager.js', 'url-utils.js', 'analysis-cache.js', 'scheduler.js', 'analysis-lenses.js', 'feedback-store.js',
+  'prompt-guard.js', 'privacy-policy.js', 'pii-redactor.js', 'markdown-export.js', 'graph-export.js', 'citation-export.js', 'import-sources.js',
+  'sync-manager.js', 'backup.js');
+
+// JSON Schemas passed to the Prompt API as responseConstraint
+const ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['coreMessage', 'themes'],
+  properties: {
+    coreMessage: { type: 'string', minLength: 1 },
+    themes: { type: 'array', items: { type: 'string' }, maxItems: 8 },
+    emotionalContext: { type: 'string' },
+    problems: { type: 'array', items: { type: 'string' } },
+    solutions: { type: 'array', items: { type: 'string' } },
+    contentNature: { type: 'string' }
+  }
+};
+
+const CONNECTIONS_SCHEMA = {
+  type: 'object',
+  required: ['connections'],
+  properties: {
+    connections: {
+      type: 'array',
+      maxItems: 2,
+      items: {
+        type: 'object',
+        required: ['index', 'type', 'direction', 'strength', 'reason'],
+        properties: {
+          index: { type: 'integer', minimum: 0 },
+          type: { type: 'string', enum: WeavesConnectionTypes.keys() },
+          direction: { type: 'string', enum: WeavesConnectionTypes.DIRECTIONS },
+          strength: { type: 'number', minimum: 0, maximum: 1 },
+          reason: { type: 'string', minLength: 1 }
+        }
+      }
+    }
+  }
+};
+
+// Weaves Background Service Worker
+class WeavesAI {
   constructor() {
-    this.STORAGE_KEYS = {
-      DAILY_DATA: 'weavesData',
-      PINNED_CONNECTIONS: 'pinnedConnections',
-      LAST_RESET_DATE: 'lastResetDate',
-      SETTINGS: 'weavesSettings'
-    };
-    
-    this.DEFAULT_SETTINGS = {
-      autoResetEnabled: true,
-      resetTime: 'midnight',
-      maxDailyContent: 100,
-      maxPinnedConnections: 50,
-      dataRetentionDays: 7
-    };
+    this.isInitialized = false;
+    this.session = null;
+    this.contentStore = new Map();
+    this.connections = [];
+    // IDs of pages and connections changed in place since the last save; added and removed ones need no marking
+    this.dirty = WeavesAI.emptyDirty();
+    this.storageManager = new WeavesStorageManager();
+    this.lexicalEngine = new WeavesLexicalEngine();
+    this.contentIndex = new WeavesContentIndex();
+    // Pages from archived days, searchable when includeArchivesInDiscovery is on
+    this.archivedContent = new Map();
+    this.archiveIndex = new WeavesContentIndex();
+    this.responseParser = new WeavesResponseParser();
+    this.analysisCache = new WeavesAnalysisCache();
+    this.feedbackStore = new WeavesFeedbackStore();
+    this.candidateLimit = 12; // Ranked pages handed to findConnections
+    this.promptCandidateLimit = 4; // Of those, how many fit in the LLM prompt
+    this.maxVisitsPerDocument = 50;
+    this.maxConnectionHistory = 20;
+    this.jobQueue = new WeavesJobQueue({
+      processor: (job) => this.processContentUpdate(job.payload, job),
+      onComplete: (job, result) => this.notifyJobResult(job, result)
+    });
+    this.syncManager = new WeavesSyncManager({
+      readLocal: () => this.getSyncItems(),
+      applyRemote: (changes) => this.applySyncChanges(changes),
+      isEnabled: () => this.storageManager.settings.syncEnabled !== false
+    });
+    this.storageManager.onChange = () => this.syncManager.schedule();
     
-    this.pinnedConnections = new Map();
-    this.settings = { ...this.DEFAULT_SETTINGS };
-    this.initializeStorage();
+    this.initializeAI();
+    this.cacheReady = this.initializeCache();
+    this.dataReady = this.loadStoredData();
+    this.initializeQueue();
+    this.feedbackStore.load();
   }
 
-  async initializeStorage() {
-    try {
-      const result = await chrome.storage.local.get([this.STORAGE_KEYS.SETTINGS]);
-      if (result[this.STORAGE_KEYS.SETTINGS]) {
-        this.settings = { ...this.DEFAULT_SETTINGS, ...result[this.STORAGE_KEYS.SETTINGS] };
+  async initializeCache() {
+    await this.storageManager.ready;
+    this.analysisCache.configure({
+      maxEntries: this.storageManager.settings.analysisCacheSize,
+      ttlHours: this.storageManager.settings.analysisCacheTTLHours
+    });
+    await this.analysisCache.load();
+  }
+
+  async initializeQueue() {
+    await this.storageManager.ready;
+    this.jobQueue.concurrency = this.storageManager.settings.maxConcurrentJobs || 1;
+
+    // Jobs for tabs that closed while the worker was asleep are dropped; imports have no tab
+    await this.jobQueue.restore(async (job) => {
+      if (!job.payload.redactions) {
+        Object.assign(job.payload, this.redactPayload(job.payload));
+      }
+      if (job.payload.imported) return true;
+      try {
+        await chrome.tabs.get(job.payload.tabId);
+        return true;
+      } catch (error) {
+        return false;
       }
+    });
+  }
 
-      await this.checkAndPerformDailyReset();
-      await this.loadPinnedConnections();
-      this.scheduleNextResetCheck();
-      
-      console.log('Weaves Storage Manager initialized');
-    } catch (error) {
-      console.error('Failed to initialize storage manager:', error);
+  // Unchanged pages reuse their earlier analysis instead of prompting the model again
+  async getAnalysis(canonicalUrl, text, scan, job) {
+    const scope = this.isInitialized ? this.provider.id : 'offline';
+    const cached = await this.analysisCache.get(canonicalUrl, text, scope);
+    if (cached) {
+      console.log('Analysis cache hit for ' + canonicalUrl);
+      return cached;
     }
-  }
 
-  async checkAndPerformDailyReset() {
-    if (!this.settings.autoResetEnabled) return;
+    const analysis = await this.analyzeContent(text, scan, job);
+    if (!analysis.fallback) {
+      await this.analysisCache.set(canonicalUrl, text, scope, analysis);
+    }
+    return analysis;
+  }
 
-    try {
-      const result = await chrome.storage.local.get([this.STORAGE_KEYS.LAST_RESET_DATE]);
-      const today = this.getCurrentDateString();
-      const lastReset = result[this.STORAGE_KEYS.LAST_RESET_DATE];
+  async processContentUpdate(payload, job = {}) {
+    // Jobs queued before redaction existed carry raw text
+    if (!payload.redactions) {
+      payload = { ...payload, ...this.redactPayload(payload) };
+    }
+    if (payload.imported && this.storageManager.settings.importFetchEnabled) {
+      payload = await this.fetchImportedPage(payload);
+    }
 
-      if (lastReset !== today) {
-        await this.performDailyReset(today);
-        console.log('Daily reset performed for ' + today);
-      }
-    } catch (error) {
-      console.error('Failed to check/perform daily reset:', error);
+    const now = Date.now();
+    const canonicalUrl = WeavesUrl.canonicalize(payload.url, payload.canonicalUrl);
+    const documentId = WeavesUrl.documentId(canonicalUrl);
+    const existing = this.contentStore.get(documentId);
+    const contentHash = await WeavesAnalysisCache.hash(payload.content);
+    const changed = !existing || existing.contentHash !== contentHash;
+    const scan = WeavesPromptGuard.scan(`${payload.title || ''}\n${payload.content || ''}`);
+
+    // A fallback analysis is retried on revisits once the model is available
+    const reanalyze = changed || (existing.analysis?.fallback && this.isInitialized);
+    const analysis = reanalyze ? await this.getAnalysis(canonicalUrl, payload.content, scan, job) : existing.analysis;
+
+    // Tab closed while the model was busy - don't commit anything for it
+    if (job.cancelled) return null;
+
+    const visit = { url: payload.url, tabId: payload.tabId, timestamp: now, contentHash };
+    const content = this.buildDocument(existing, {
+      id: documentId,
+      canonicalUrl: canonicalUrl,
+      tabId: payload.tabId,
+      url: payload.url,
+      title: payload.title,
+      content: payload.content,
+      domain: payload.domain,
+      platform: payload.platform,
+      contentType: payload.contentType,
+      citation: payload.citation || null,
+      // A real visit replaces an imported page's stand-in text, and with it the mark
+      imported: payload.imported || null,
+      projectId: payload.projectId || null,
+      contentHash: contentHash,
+      suspicious: scan.suspicious,
+      suspiciousMatches: scan.matches,
+      redactions: payload.redactions,
+      timestamp: now,
+      analysis: analysis
+    }, visit);
+
+    this.addContent(content);
+
+    const existingContents = this.findCandidates(content);
+
+    const lensId = this.resolveLens(content.projectId);
+    let connections = [];
+    if (content.suspicious && !this.storageManager.settings.includeSuspiciousContent) {
+      console.warn('Skipping connections for suspicious page:', content.title, content.suspiciousMatches.map(m => m.label));
+    } else {
+      connections = await this.findConnections(content, existingContents, lensId, job);
     }
+    
+    (Array.isArray(connections) ? connections : []).forEach(conn => {
+      const targetContent = this.contentStore.get(conn.contentId) ||
+        this.reviveArchivedContent(conn.contentId) ||
+        { id: conn.contentId, title: 'Unknown', url: '' };
+
+      // from/to follow the relationship's direction so the edge reads "from <verb> to"
+      const [source, target] = conn.direction === 'existing-to-new'
+        ? [targetContent, content]
+        : [content, targetContent];
+
+      this.upsertConnection({
+          from: source.id,
+          to: target.id,
+          fromTitle: source.title,
+          toTitle: target.title,
+          fromUrl: source.url,
+          toUrl: target.url || '',
+          strength: conn.strength,
+          reason: conn.reason,
+          type: conn.type,
+          relationship: WeavesConnectionTypes.verb(conn.type),
+          heuristic: conn.heuristic === true,
+          engine: conn.engine || 'ai',
+          lens: lensId,
+          projectId: content.projectId,
+          suspicious: Boolean(content.suspicious || targetContent.suspicious),
+          timestamp: Date.now(),
+          platforms: `${source.title} → ${target.title}`
+      });
+    });
+
+    await this.saveData();
+
+    // Keyword matches never count as breakthroughs, however high they score
+    const highQualityConnections = connections.filter(c => c.strength >= 0.75 && !c.heuristic);
+    return {connections: connections.length, highQuality: highQualityConnections.length};
   }
 
-  async performDailyReset(dateString) {
-    try {
-      await chrome.storage.local.set({
-        [this.STORAGE_KEYS.DAILY_DATA]: null,
-        [this.STORAGE_KEYS.LAST_RESET_DATE]: dateString
-      });
+  // A project's lens wins over the global one; unknown or deleted projects fall back to it
+  resolveLens(projectId) {
+    const settings = this.storageManager.settings;
+    const project = (settings.projects || []).find(p => p.id === projectId);
+    return WeavesAnalysisLenses.resolveId(project?.lens || settings.activeLens);
+  }
 
-      await this.cleanupPinnedConnections();
-    } catch (error) {
-      console.error('Failed to perform daily reset:', error);
+  // Revisits append a visit; changed text bumps the version and replaces the analysed snapshot
+  buildDocument(existing, snapshot, visit) {
+    if (!existing) {
+      return { ...snapshot, firstSeen: visit.timestamp, version: 1, visits: [visit] };
     }
+
+    const changed = existing.contentHash !== snapshot.contentHash;
+    return {
+      ...existing,
+      ...(changed ? snapshot : {}),
+      tabId: snapshot.tabId,
+      url: snapshot.url,
+      title: snapshot.title || existing.title,
+      citation: snapshot.citation || existing.citation || null,
+      projectId: snapshot.projectId,
+      suspicious: snapshot.suspicious,
+      suspiciousMatches: snapshot.suspiciousMatches,
+      analysis: snapshot.analysis,
+      timestamp: snapshot.timestamp,
+      version: (existing.version || 1) + (changed ? 1 : 0),
+      visits: [...(existing.visits || []), visit].slice(-this.maxVisitsPerDocument)
+    };
   }
 
-  async loadStoredData() {
-    try {
-      const result = await chrome.storage.local.get([
-        this.STORAGE_KEYS.DAILY_DATA,
-        this.STORAGE_KEYS.LAST_RESET_DATE
-      ]);
+  // Folds legacy tabId-timestamp entries into canonical documents and re-points their connections
+  migrateLegacyContent() {
+    const idMap = new Map();
+    const legacy = Array.from(this.contentStore.values())
+      .filter(c => !WeavesUrl.isDocumentId(c.id))
+      .sort((a, b) => a.timestamp - b.timestamp);
+    if (legacy.length === 0) return false;
+
+    legacy.forEach(item => {
+      const canonicalUrl = WeavesUrl.canonicalize(item.url);
+      const documentId = WeavesUrl.documentId(canonicalUrl);
+      const existing = this.contentStore.get(documentId);
+      const visit = { url: item.url, tabId: item.tabId, timestamp: item.timestamp, contentHash: null };
+
+      this.contentStore.delete(item.id);
+      this.contentStore.set(documentId, this.buildDocument(existing, {
+        ...item,
+        id: documentId,
+        canonicalUrl: canonicalUrl,
+        contentHash: 'legacy-' + item.id
+      }, visit));
+      idMap.set(item.id, documentId);
+    });
 
-      const today = this.getCurrentDateString();
-      const lastReset = result[this.STORAGE_KEYS.LAST_RESET_DATE];
+    const remap = (conn) => ({
+      ...conn,
+      from: idMap.get(conn.from) || conn.from,
+      to: idMap.get(conn.to) || conn.to
+    });
 
-      if (lastReset !== today && this.settings.autoResetEnabled) {
-        await this.performDailyReset(today);
-        return { contentStore: new Map(), connections: [] };
-      }
+    this.connections = this.connections
+      .map(remap)
+      .filter(conn => conn.from !== conn.to);
+    this.storageManager.remapPinnedConnections(remap);
 
-      if (result[this.STORAGE_KEYS.DAILY_DATA]) {
-        const data = result[this.STORAGE_KEYS.DAILY_DATA];
-        return {
-          contentStore: new Map(data.contentStore || []),
-          connections: data.connections || []
-        };
-      }
+    console.log('Migrated ' + legacy.length + ' legacy content items into ' + new Set(idMap.values()).size + ' documents');
+    return true;
+  }
 
-      return { contentStore: new Map(), connections: [] };
-    } catch (error) {
-      console.error('Failed to load stored data:', error);
-      return { contentStore: new Map(), connections: [] };
+  // One connection per document pair; repeat findings are folded into its history
+  upsertConnection(connection) {
+    const id = this.getConnectionId(connection);
+    const observation = {
+      reason: connection.reason,
+      strength: connection.strength,
+      type: connection.type,
+      relationship: connection.relationship,
+      engine: connection.engine,
+      lens: connection.lens,
+      heuristic: connection.heuristic === true,
+      from: connection.from,
+      to: connection.to,
+      timestamp: connection.timestamp
+    };
+
+    const existing = this.connections.find(c => this.getConnectionId(c) === id);
+    if (!existing) {
+      const created = { ...connection, firstSeen: connection.timestamp, history: [observation] };
+      this.connections.push(created);
+      return created;
     }
-  }
 
-  async saveData(contentStore, connections) {
-    try {
-      const dataToStore = {
-        contentStore: Array.from(contentStore.entries()),
-        connections: connections,
-        timestamp: Date.now()
-      };
-
-      await chrome.storage.local.set({
-        [this.STORAGE_KEYS.DAILY_DATA]: dataToStore
+    const history = [...(existing.history || []), observation]
+      .slice(-this.maxConnectionHistory);
+
+    // A keyword match never overwrites what the model said about the same pair
+    const describes = !observation.heuristic || existing.heuristic;
+    if (describes) {
+      Object.assign(existing, {
+        from: connection.from,
+        to: connection.to,
+        fromTitle: connection.fromTitle,
+        toTitle: connection.toTitle,
+        fromUrl: connection.fromUrl,
+        toUrl: connection.toUrl,
+        reason: connection.reason,
+        type: connection.type,
+        relationship: connection.relationship,
+        engine: connection.engine,
+        lens: connection.lens,
+        projectId: connection.projectId,
+        suspicious: connection.suspicious,
+        platforms: connection.platforms
       });
-
-      await this.savePinnedConnections();
-    } catch (error) {
-      console.error('Failed to save data:', error);
     }
+
+    existing.history = history;
+    existing.heuristic = history.every(h => h.heuristic);
+    existing.strength = this.aggregateStrength(history);
+    existing.timestamp = connection.timestamp;
+    existing.firstSeen = existing.firstSeen || history[0].timestamp;
+    this.dirty.connections.add(id);
+
+    this.storageManager.refreshPinnedConnection(id, existing);
+    return existing;
   }
 
-  async loadPinnedConnections() {
+  // Mean strength of the observations that count: model findings when there are any, else keyword matches
+  aggregateStrength(history) {
+    const aiObservations = history.filter(h => !h.heuristic);
+    const counted = aiObservations.length > 0 ? aiObservations : history;
+    const mean = counted.reduce((sum, h) => sum + h.strength, 0) / counted.length;
+    return Math.round(mean * 100) / 100;
+  }
+
+  // Folds connections saved before per-pair merging (no history) through upsertConnection
+  mergeDuplicateConnections() {
+    const legacy = this.connections
+      .filter(c => !Array.isArray(c.history))
+      .sort((a, b) => a.timestamp - b.timestamp);
+    if (legacy.length === 0) return false;
+
+    const before = this.connections.length;
+    this.connections = this.connections.filter(c => Array.isArray(c.history));
+    this.storageManager.remapPinnedConnections(conn => conn);
+
+    legacy.forEach(conn => {
+      const merged = this.upsertConnection(conn);
+      if (conn.pinned) merged.pinned = true;
+    });
+
+    console.log('Merged ' + before + ' connections into ' + this.connections.length + ' document pairs');
+    return true;
+  }
+
+  async notifyJobResult(job, result) {
+    // Imported pages have no tab to tell; the popup shows their connections
+    if (!result || job.payload.tabId == null) return;
+    const tabId = job.payload.tabId;
+
     try {
-      const result = await chrome.storage.local.get([this.STORAGE_KEYS.PINNED_CONNECTIONS]);
-      if (result[this.STORAGE_KEYS.PINNED_CONNECTIONS]) {
-        this.pinnedConnections = new Map(result[this.STORAGE_KEYS.PINNED_CONNECTIONS]);
+      if (result.highQuality > 0) {
+        await chrome.action.setBadgeText({
+          text: result.highQuality.toString(),
+          tabId: tabId
+        });
+        await chrome.action.setBadgeBackgroundColor({color: '#4CAF50'});
+      }
+
+      if (result.connections > 0) {
+        await chrome.tabs.sendMessage(tabId, {
+          type: WeavesMessageTypes.CONNECTIONS_FOUND,
+          connections: result.connections,
+          highQuality: result.highQuality
+        });
       }
     } catch (error) {
-      console.error('Failed to load pinned connections:', error);
+      // Tab navigated away or has no content script - the popup still shows the results
+      console.log('Could not notify tab ' + tabId + ':', error.message);
     }
   }
 
-  async savePinnedConnections() {
+  async loadStoredData() {
     try {
-      await chrome.storage.local.set({
-        [this.STORAGE_KEYS.PINNED_CONNECTIONS]: Array.from(this.pinnedConnections.entries())
-      });
+      await this.storageManager.ready;
+      const data = await this.storageManager.loadStoredData();
+      this.contentStore = data.contentStore;
+      this.connections = data.connections;
+      await this.storageManager.migrate(this);
+      await this.resetIfNewDay();
+      await this.loadArchives();
+      this.contentIndex.rebuild(Array.from(this.contentStore.values()));
+      console.log('Loaded ' + this.contentStore.size + ' content items and ' + this.connections.length + ' connections');
     } catch (error) {
-      console.error('Failed to save pinned connections:', error);
+      console.warn('Failed to load stored data:', error);
     }
   }
 
-  async pinConnection(connectionId, connection) {
-    try {
-      if (this.pinnedConnections.size >= this.settings.maxPinnedConnections) {
-        throw new Error('Cannot pin more than ' + this.settings.maxPinnedConnections + ' connections');
-      }
+  // Title and text with PII replaced by placeholders, plus per-category counts
+  redactPayload(payload) {
+    const categories = this.storageManager.settings.piiRedactionCategories || [];
+    const title = WeavesPiiRedactor.redact(payload.title, categories);
+    const content = WeavesPiiRedactor.redact(payload.content, categories);
+    const citation = this.redactCitation(WeavesCitationExport.normalize(payload.citation), categories);
+    return {
+      title: title.text,
+      content: content.text,
+      citation: citation.value,
+      redactions: WeavesPiiRedactor.mergeCounts(WeavesPiiRedactor.mergeCounts(title.counts, content.counts), citation.counts)
+    };
+  }
 
-      const pinnedConnection = {
-        ...connection,
-        pinned: true,
-        pinnedAt: Date.now(),
-        pinnedDate: this.getCurrentDateString()
-      };
-
-      this.pinnedConnections.set(connectionId, pinnedConnection);
-      await this.savePinnedConnections();
-      
-      return true;
-    } catch (error) {
-      console.error('Failed to pin connection:', error);
+  // Identifiers are kept as published; a DOI or ISBN can look like a phone or account number
+  redactCitation(citation, categories) {
+    if (!citation) return { value: null, counts: {} };
+    const text = Object.fromEntries(['title', 'authors', 'containerTitle', 'publisher', 'institution']
+      .filter(field => citation[field])
+      .map(field => [field, citation[field]]));
+    const redacted = WeavesPiiRedactor.redactValue(text, categories);
+    return { value: { ...citation, ...redacted.value }, counts: redacted.counts };
+  }
+
+  // Scrubs everything stored before redaction existed: pages, connections, pins and cached analyses
+  async redactLegacyData() {
+    // Set by builds that scrubbed before the schema was versioned; scrubbing again would reset the counts
+    const result = await chrome.storage.local.get(['piiRedactionApplied']);
+    if (result.piiRedactionApplied) {
+      await chrome.storage.local.remove('piiRedactionApplied');
       return false;
     }
+
+    const categories = this.storageManager.settings.piiRedactionCategories || [];
+    const scrub = value => WeavesPiiRedactor.redactValue(value, categories).value;
+
+    for (const content of this.contentStore.values()) {
+      const redacted = WeavesPiiRedactor.redactValue({
+        title: content.title,
+        content: content.content,
+        analysis: content.analysis
+      }, categories);
+      Object.assign(content, redacted.value, { redactions: redacted.counts });
+    }
+
+    const textFields = ['fromTitle', 'toTitle', 'reason', 'platforms', 'history'];
+    const scrubConnection = connection => {
+      textFields.forEach(field => {
+        if (connection[field] !== undefined) connection[field] = scrub(connection[field]);
+      });
+      return connection;
+    };
+    this.connections.forEach(scrubConnection);
+    this.storageManager.pinnedConnections.forEach(scrubConnection);
+
+    await this.cacheReady;
+    this.analysisCache.mapAnalyses(scrub);
+
+    console.log('Redacted personal data stored before redaction was enabled');
+    return true;
   }
 
-  async unpinConnection(connectionId) {
+  // Pages stored before prompt-injection scanning get scanned once on load; rescan re-checks
+  // pages already scanned after the patterns change
+  flagUnscannedContent(rescan = false) {
+    let scanned = 0;
+    for (const content of this.contentStore.values()) {
+      if (content.suspicious !== undefined && !rescan) continue;
+      const scan = WeavesPromptGuard.scan(`${content.title || ''}\n${content.content || ''}`);
+      content.suspicious = scan.suspicious;
+      content.suspiciousMatches = scan.matches;
+      scanned++;
+    }
+    return scanned;
+  }
+
+  static emptyDirty() {
+    return { all: false, documents: new Set(), connections: new Set() };
+  }
+
+  markDocumentDirty(documentId) {
+    this.dirty.documents.add(documentId);
+  }
+
+  markConnectionDirty(connection) {
+    this.dirty.connections.add(this.getConnectionId(connection));
+  }
+
+  // For changes too broad to track record by record, like migrations and restores
+  markAllDirty() {
+    this.dirty.all = true;
+    this.storageManager.pinsDirty = true;
+  }
+
+  // Returns false if the save failed; what was dirty stays dirty for the next attempt
+  async saveData() {
+    const dirty = this.dirty;
+    this.dirty = WeavesAI.emptyDirty();
     try {
-      const removed = this.pinnedConnections.delete(connectionId);
-      if (removed) {
-        await this.savePinnedConnections();
+      let saved = await this.storageManager.saveData(this.contentStore, this.connections, dirty);
+      if (saved && await this.evictOverLimit() > 0) {
+        saved = await this.storageManager.saveData(this.contentStore, this.connections, WeavesAI.emptyDirty());
       }
-      return removed;
+      if (!saved) this.keepDirty(dirty);
+      return saved;
     } catch (error) {
-      console.error('Failed to unpin connection:', error);
+      console.warn('Failed to save data:', error);
+      this.keepDirty(dirty);
       return false;
     }
   }
 
-  getPinnedConnections() {
-    return Array.from(this.pinnedConnections.values()).map(conn => ({
-      ...conn,
-      id: this.generateConnectionId(conn),
-      pinned: true
-    }));
+  keepDirty(dirty) {
+    this.dirty.all = this.dirty.all || dirty.all;
+    dirty.documents.forEach(id => this.dirty.documents.add(id));
+    dirty.connections.forEach(id => this.dirty.connections.add(id));
   }
 
-  async cleanupPinnedConnections() {
-    try {
-      if (this.pinnedConnections.size > this.settings.maxPinnedConnections) {
-        const sortedPins = Array.from(this.pinnedConnections.entries())
-          .sort(([,a], [,b]) => a.pinnedAt - b.pinnedAt);
-        
-        const toRemove = sortedPins.slice(0, sortedPins.length - this.settings.maxPinnedConnections);
-        toRemove.forEach(([id]) => this.pinnedConnections.delete(id));
-        
-        await this.savePinnedConnections();
+  // Enforces maxStorageSize, archives included. The oldest archived days go first, then pages with the
+  // fewest connections, oldest first, along with their connections. Pages behind a pinned connection
+  // are kept. Returns the number of pages evicted
+  async evictOverLimit() {
+    const limit = (this.storageManager.settings.maxStorageSize || 50) * 1024 * 1024;
+    const contentDB = this.storageManager.contentDB;
+    let bytes = contentDB.getStoredBytes();
+    if (bytes <= limit) return 0;
+
+    const archiveDates = contentDB.getArchiveDates();
+    let prunedDays = 0;
+    while (bytes > limit && prunedDays < archiveDates.length) {
+      bytes -= contentDB.archiveBytes.get(archiveDates[prunedDays]) || 0;
+      prunedDays++;
+    }
+    if (prunedDays > 0) {
+      // Everything before the first day kept; past the newest when every day goes
+      await contentDB.pruneArchives(archiveDates[prunedDays] || archiveDates[archiveDates.length - 1] + '~');
+      await this.loadArchives();
+      console.log('Storage over ' + this.storageManager.settings.maxStorageSize + 'MB - removed ' + prunedDays + ' archived days');
+    }
+    if (bytes <= limit) return 0;
+
+    const pinnedIds = new Set();
+    this.storageManager.pinnedConnections.forEach(conn => {
+      pinnedIds.add(conn.from);
+      pinnedIds.add(conn.to);
+    });
+
+    const degree = new Map();
+    this.connections.forEach(conn => {
+      degree.set(conn.from, (degree.get(conn.from) || 0) + 1);
+      degree.set(conn.to, (degree.get(conn.to) || 0) + 1);
+    });
+
+    const candidates = Array.from(this.contentStore.values())
+      .filter(content => !pinnedIds.has(content.id))
+      .sort((a, b) => (degree.get(a.id) || 0) - (degree.get(b.id) || 0) || a.timestamp - b.timestamp);
+
+    // Sizes come from the last write, so this estimates what each removal frees
+    const written = this.storageManager.contentDB.written;
+    const sizeOf = (store, key) => written[store].get(key) || 0;
+    const { CONTENT, ANALYSES, CONNECTIONS } = this.storageManager.contentDB.STORES;
+
+    const evicted = new Set();
+    for (const content of candidates) {
+      if (bytes <= limit) break;
+      bytes -= sizeOf(CONTENT, content.id) + sizeOf(ANALYSES, content.id);
+      this.connections
+        .filter(conn => conn.from === content.id || conn.to === content.id)
+        .forEach(conn => {
+          bytes -= sizeOf(CONNECTIONS, this.getConnectionId(conn));
+        });
+      this.connections = this.connections.filter(conn => conn.from !== content.id && conn.to !== content.id);
+      this.removeContent(content.id);
+      evicted.add(content.id);
+    }
+
+    console.log('Storage over ' + this.storageManager.settings.maxStorageSize + 'MB - evicted ' + evicted.size + ' pages');
+    return evicted.size;
+  }
+
+  // Maintenance jobs, run by WeavesScheduler alarms
+
+  async runDailyReset() {
+    await this.dataReady;
+    return { reset: await this.resetIfNewDay() };
+  }
+
+  async resetIfNewDay() {
+    // Unsaved changes go into the archive too; a failed save skips the reset so nothing is lost
+    const reset = await this.storageManager.checkAndPerformDailyReset(async () => {
+      if (!await this.saveData()) {
+        throw new Error('Could not save the day before archiving it');
       }
-    } catch (error) {
-      console.error('Failed to cleanup pinned connections:', error);
+    });
+    if (reset) {
+      // Stored data is archived and cleared; drop the in-memory copy so the next save doesn't restore it
+      this.contentStore.clear();
+      this.contentIndex.clear();
+      this.connections = [];
+      chrome.action.setBadgeText({text: ''});
+      await this.loadArchives();
     }
+    return reset;
   }
 
-  getCurrentDateString() {
-    return new Date().toDateString();
+  async pruneExpiredData() {
+    await this.dataReady;
+    const retentionDays = this.storageManager.settings.dataRetentionDays || 7;
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+
+    let removedContent = 0;
+    for (const [id, content] of Array.from(this.contentStore.entries())) {
+      if (content.timestamp < cutoff) {
+        this.removeContent(id);
+        removedContent++;
+      }
+    }
+
+    const connectionCount = this.connections.length;
+    this.connections = this.connections.filter(conn => conn.timestamp > cutoff);
+    const removedConnections = connectionCount - this.connections.length;
+
+    if (removedContent || removedConnections) {
+      await this.saveData();
+    }
+
+    const removedArchives = await this.storageManager.contentDB.pruneArchives(WeavesStorageManager.toDayKey(cutoff));
+    if (removedArchives.length > 0) {
+      await this.loadArchives();
+    }
+    return { removedContent, removedConnections, removedArchives: removedArchives.length };
   }
 
-  generateConnectionId(connection) {
-    return connection.from + '-' + connection.to + '-' + connection.timestamp;
+  async evictAnalysisCache() {
+    await this.cacheReady;
+    const evicted = this.analysisCache.evict();
+    if (evicted) {
+      await this.analysisCache.persist();
+    }
+    return { evicted };
   }
 
-  scheduleNextResetCheck() {
-    const now = new Date();
-    const tomorrow = new Date(now);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    tomorrow.setHours(0, 0, 0, 0);
+  addContent(content) {
+    this.contentStore.set(content.id, content);
+    this.markDocumentDirty(content.id);
+    this.contentIndex.add(content);
+  }
 
-    const timeUntilReset = tomorrow.getTime() - now.getTime();
-    
-    setTimeout(() => {
-      this.checkAndPerformDailyReset();
-      this.scheduleNextResetCheck();
-    }, timeUntilReset);
+  removeContent(contentId) {
+    this.contentIndex.remove(contentId);
+    return this.contentStore.delete(contentId);
+  }
+
+  // Most promising pages from the whole store, not just the newest ones
+  findCandidates(content, limit = this.candidateLimit) {
+    // Domain pairs the user keeps voting down sink in the ranking, liked ones rise
+    const tallies = this.feedbackStore.tally();
+    const domain = WeavesFeedbackStore.domainOf(content.url);
+    const lookup = id => this.contentStore.get(id) || this.archivedContent.get(id);
+    const results = this.contentIndex.search(content, { limit: limit * 2, excludeIds: [content.id] });
+
+    // Archived pages compete on the same score; one that was revisited today is already in the live index
+    if (this.archiveIndex.size > 0) {
+      this.archiveIndex.search(content, { limit: limit * 2, excludeIds: [content.id] })
+        .filter(result => !this.contentStore.has(result.id))
+        .forEach(result => results.push(result));
+    }
 
-    console.log('Next reset scheduled for: ' + tomorrow.toLocaleString());
+    const ranked = results
+      .map(result => {
+        const candidateDomain = WeavesFeedbackStore.domainOf(lookup(result.id)?.url);
+        const adjustment = this.feedbackStore.domainAdjustment(domain, candidateDomain, tallies);
+        return { ...result, score: result.score * (1 + 2 * adjustment) };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+    const allowed = c => c && (!c.suspicious || this.storageManager.settings.includeSuspiciousContent);
+    const candidates = ranked
+      .map(result => lookup(result.id))
+      .filter(allowed);
+
+    // Backfill with recent pages so content without keyword overlap can still reach the model
+    if (candidates.length < limit) {
+      const seen = new Set([content.id, ...candidates.map(c => c.id)]);
+      Array.from(this.contentStore.values())
+        .filter(c => !seen.has(c.id) && allowed(c))
+        .sort((a, b) => b.timestamp - a.timestamp)
+        .slice(0, limit - candidates.length)
+        .forEach(c => candidates.push(c));
+    }
+
+    return candidates;
   }
 
-  async getStorageStats() {
+  async loadArchives() {
+    this.archivedContent.clear();
+    this.archiveIndex.clear();
+    if (!this.storageManager.settings.includeArchivesInDiscovery) return;
+
     try {
-      const result = await chrome.storage.local.get(null);
-      const totalSize = JSON.stringify(result).length;
-      
-      return {
-        totalStorageBytes: totalSize,
-        pinnedConnectionsCount: this.pinnedConnections.size,
-        lastResetDate: result[this.STORAGE_KEYS.LAST_RESET_DATE],
-        settings: this.settings
-      };
+      // Newest first, so a page archived on several days is represented by its latest snapshot
+      const archives = await this.storageManager.contentDB.getArchives();
+      archives.forEach(archive => archive.documents.forEach(doc => {
+        if (!this.archivedContent.has(doc.id)) {
+          this.archivedContent.set(doc.id, { ...doc, archivedDate: archive.date });
+        }
+      }));
+      this.archiveIndex.rebuild(Array.from(this.archivedContent.values()));
     } catch (error) {
-      console.error('Failed to get storage stats:', error);
-      return null;
+      console.warn('Failed to load archives:', error);
     }
   }
-}
 
-// Weaves Background Service Worker
-class WeavesAI {
-  constructor() {
-    this.isInitialized = false;
-    this.session = null;
-    this.contentStore = new Map();
-    this.connections = [];
-    this.storageManager = new WeavesStorageManager();
-    
-    this.initializeAI();
-    this.loadStoredData();
+  // Brings an archived page back into today's store so a connection to it has both endpoints
+  reviveArchivedContent(contentId) {
+    const archived = this.archivedContent.get(contentId);
+    if (!archived) return null;
+
+    const { archivedDate, ...doc } = archived;
+    // Stamped now so it counts as part of today for pruning and the next archive
+    const revived = { ...doc, restoredFrom: archivedDate, visits: [], timestamp: Date.now() };
+    this.addContent(revived);
+    return revived;
   }
 
-  async loadStoredData() {
+  // Copies a connection from a past day, with both its pages, into today's graph
+  async restoreArchivedConnection(date, connectionId) {
+    const archive = await this.storageManager.contentDB.getArchive(date);
+    const connection = archive?.connections.find(conn => conn.id === connectionId);
+    if (!connection) return null;
+
+    [connection.from, connection.to].forEach(id => {
+      if (this.contentStore.has(id)) return;
+      const doc = archive.documents.find(d => d.id === id);
+      if (doc) this.addContent({ ...doc, restoredFrom: date, visits: [], timestamp: Date.now() });
+    });
+
+    // Only what a fresh finding carries; archive bookkeeping and snapshot fields stay behind
+    const restored = this.upsertConnection({
+      from: connection.from,
+      to: connection.to,
+      fromTitle: connection.fromTitle,
+      toTitle: connection.toTitle,
+      fromUrl: connection.fromUrl,
+      toUrl: connection.toUrl || '',
+      strength: connection.strength,
+      reason: connection.reason,
+      type: connection.type,
+      relationship: connection.relationship,
+      heuristic: connection.heuristic === true,
+      engine: connection.engine,
+      lens: connection.lens,
+      projectId: connection.projectId,
+      suspicious: Boolean(connection.suspicious),
+      platforms: connection.platforms,
+      restoredFrom: date,
+      timestamp: Date.now()
+    });
+    await this.saveData();
+    return restored;
+  }
+
+  // Queues bookmarks and history as imported documents built from title, URL and any archived excerpt.
+  // Pages the capture rules block and pages already in today's store are skipped
+  async importSources(options) {
+    const settings = this.storageManager.settings;
+    const items = WeavesImportSources.select(await WeavesImportSources.collect(options), options);
+    const result = { queued: 0, known: 0, blocked: 0, overLimit: 0 };
+    const entries = [];
+
+    items.forEach(item => {
+      if (!WeavesPrivacyPolicy.evaluate(item.url, settings).allowed) {
+        result.blocked++;
+        return;
+      }
+      const canonicalUrl = WeavesUrl.canonicalize(item.url);
+      const documentId = WeavesUrl.documentId(canonicalUrl);
+      if (this.contentStore.has(documentId)) {
+        result.known++;
+        return;
+      }
+      if (entries.length >= WeavesImportSources.MAX_ITEMS) {
+        result.overLimit++;
+        return;
+      }
+
+      const description = this.archivedContent.get(documentId)?.content || '';
+      const redacted = this.redactPayload({ title: item.title, content: WeavesImportSources.lightweightContent(item, description) });
+      entries.push({
+        key: 'import:' + documentId,
+        payload: {
+          tabId: null,
+          url: item.url,
+          canonicalUrl: canonicalUrl,
+          projectId: settings.activeProjectId,
+          title: redacted.title,
+          content: redacted.content,
+          redactions: redacted.redactions,
+          domain: item.domain,
+          platform: item.source === 'bookmarks' ? 'Bookmarks' : 'History',
+          contentType: 'imported',
+          imported: { source: item.source, folder: item.folderPath || null, addedAt: item.addedAt, importedAt: Date.now() }
+        }
+      });
+    });
+
+    this.jobQueue.enqueueAll(entries);
+    result.queued = entries.length;
+    return result;
+  }
+
+  // Reads an imported page when background fetching is allowed, keeping the stand-in text if it can't
+  async fetchImportedPage(payload) {
+    const settings = this.storageManager.settings;
+    if (!WeavesPrivacyPolicy.evaluate(payload.url, settings).allowed) return payload;
+
     try {
-      const data = await this.storageManager.loadStoredData();
-      this.contentStore = data.contentStore;
-      this.connections = data.connections;
-      console.log('Loaded ' + this.contentStore.size + ' content items and ' + this.connections.length + ' connections');
+      const page = await WeavesImportSources.fetchPage(payload.url, url => WeavesPrivacyPolicy.evaluate(url, settings).allowed);
+      if (page.text.length < 100) return payload;
+      const redacted = this.redactPayload({
+        title: page.title || payload.title,
+        content: [page.description, page.text].filter(Boolean).join(' ')
+      });
+      return { ...payload, ...redacted, imported: { ...payload.imported, fetchedAt: Date.now() } };
     } catch (error) {
-      console.warn('Failed to load stored data:', error);
+      console.log('Could not fetch imported page ' + payload.url + ':', error.message);
+      return payload;
     }
   }
 
-  async saveData() {
-    try {
-      await this.storageManager.saveData(this.contentStore, this.connections);
-    } catch (error) {
-      console.warn('Failed to save data:', error);
+  // Both pages of each connection: today's, then archived, then rebuilt from what the connection
+  // remembers for pages that are gone since
+  exportEndpoints(connections) {
+    const documents = new Map();
+    connections.forEach(conn => {
+      [[conn.from, conn.fromTitle, conn.fromUrl], [conn.to, conn.toTitle, conn.toUrl]].forEach(([id, title, url]) => {
+        if (documents.has(id)) return;
+        const known = this.contentStore.get(id) || this.archivedContent.get(id);
+        documents.set(id, known || { id, title, url, domain: WeavesFeedbackStore.domainOf(url), timestamp: conn.pinnedAt || conn.timestamp });
+      });
+    });
+    return Array.from(documents.values());
+  }
+
+  // Pages and connections for an export. scope is 'today', 'day' (an archived date), 'project'
+  // (today plus archived days), 'pinned' or 'connection'. Returns { documents, connections, pinnedIds, label },
+  // or null when the archived day or connection doesn't exist
+  async collectExport({ scope = 'today', date = null, projectId = null, connectionId = null } = {}) {
+    const pinnedIds = new Set(this.storageManager.pinnedConnections.keys());
+    const live = () => ({
+      documents: Array.from(this.contentStore.values()),
+      connections: this.connections.map(conn => this.storageManager.pinnedConnections.get(this.getConnectionId(conn)) || conn)
+    });
+
+    let selection;
+    let label;
+    if (scope === 'day') {
+      const archive = await this.storageManager.contentDB.getArchive(date);
+      if (!archive) return null;
+      selection = { documents: archive.documents, connections: archive.connections };
+      label = 'Archived day ' + date;
+    } else if (scope === 'project') {
+      // Newest snapshot of each page wins: today's, then archives newest first
+      const documents = new Map();
+      const connections = new Map();
+      const today = live();
+      const archives = await this.storageManager.contentDB.getArchives();
+      [today, ...archives].forEach(source => {
+        source.documents
+          .filter(doc => doc.projectId === projectId && !documents.has(doc.id))
+          .forEach(doc => documents.set(doc.id, doc));
+        source.connections.forEach(conn => {
+          const id = this.getConnectionId(conn);
+          if (!connections.has(id)) connections.set(id, conn);
+        });
+      });
+      selection = { documents: Array.from(documents.values()), connections: Array.from(connections.values()) };
+      const project = (this.storageManager.settings.projects || []).find(p => p.id === projectId);
+      label = 'Project ' + (project ? project.name : projectId);
+    } else if (scope === 'pinned') {
+      const pinned = Array.from(this.storageManager.pinnedConnections.values());
+      selection = { documents: this.exportEndpoints(pinned), connections: pinned };
+      label = 'Pinned connections';
+    } else if (scope === 'connection') {
+      const connection = this.storageManager.pinnedConnections.get(connectionId) || this.findConnection(connectionId);
+      if (!connection) return null;
+      selection = { documents: this.exportEndpoints([connection]), connections: [connection] };
+      label = `${connection.fromTitle || 'Untitled'} ${WeavesConnectionTypes.verb(connection.type)} ${connection.toTitle || 'Untitled'}`;
+    } else {
+      selection = live();
+      label = 'Today';
+    }
+
+    // Only connections with both pages in the export
+    const documentIds = new Set(selection.documents.map(doc => doc.id));
+    return {
+      documents: selection.documents,
+      connections: selection.connections.filter(conn => documentIds.has(conn.from) && documentIds.has(conn.to)),
+      pinnedIds,
+      label
+    };
+  }
+
+  // Connections from archived days whose titles, reason or type match query, newest day first
+  async searchArchives(query, date = null) {
+    const archives = date
+      ? [await this.storageManager.contentDB.getArchive(date)].filter(Boolean)
+      : await this.storageManager.contentDB.getArchives();
+    const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+    return archives.flatMap(archive => archive.connections
+      .filter(conn => {
+        const text = [conn.fromTitle, conn.toTitle, conn.reason, WeavesConnectionTypes.label(conn.type)].join(' ').toLowerCase();
+        return terms.every(term => text.includes(term));
+      })
+      .map(conn => ({ ...conn, archivedDate: archive.date })));
+  }
+
+  // Everything a backup holds: today's pages and connections, past days, pins, notes, feedback and settings
+  async createBackupPayload() {
+    const storage = this.storageManager;
+    return {
+      schemaVersion: WeavesStorageManager.SCHEMA_VERSION,
+      createdAt: Date.now(),
+      date: WeavesStorageManager.toDayKey(storage.getCurrentDateString()),
+      settings: { ...storage.settings },
+      documents: Array.from(this.contentStore.values()),
+      connections: this.connections,
+      pinnedConnections: Array.from(storage.pinnedConnections.entries()),
+      notes: Array.from(storage.notes.entries()),
+      archives: await storage.contentDB.getArchives(),
+      feedback: Array.from(this.feedbackStore.votes.entries())
+    };
+  }
+
+  // Pages and connections from a backup made on an earlier day are restored as that day's archive
+  prepareRestore(payload) {
+    const isToday = payload.date === WeavesStorageManager.toDayKey(this.storageManager.getCurrentDateString());
+    if (isToday || (payload.documents.length === 0 && payload.connections.length === 0)) return payload;
+
+    const sameDay = payload.archives.find(archive => archive.date === payload.date);
+    const archive = this.storageManager.contentDB.buildArchive(payload.date, sameDay, payload.documents,
+      payload.connections.map(connection => ({ ...connection, id: this.getConnectionId(connection) })));
+    return {
+      ...payload,
+      documents: [],
+      connections: [],
+      archives: [...payload.archives.filter(other => other.date !== payload.date), archive]
+    };
+  }
+
+  async previewBackup(payload) {
+    return WeavesBackup.preview(this.prepareRestore(payload), await this.createBackupPayload(), {
+      connection: connection => this.getConnectionId(connection)
+    });
+  }
+
+  // replace swaps everything for the backup's copy; merge only adds what this device is missing,
+  // keeping its own version of anything both have, and leaves settings alone
+  async restoreBackup(payload, mode) {
+    const replace = mode === 'replace';
+    const plan = this.prepareRestore(payload);
+    const storage = this.storageManager;
+    const restoreMap = (current, entries) => {
+      const restored = replace ? new Map() : current;
+      entries.forEach(([key, value]) => {
+        if (!restored.has(key)) restored.set(key, value);
+      });
+      return restored;
+    };
+
+    this.contentStore = restoreMap(this.contentStore, plan.documents.map(doc => [doc.id, doc]));
+    const connections = restoreMap(
+      new Map(this.connections.map(connection => [this.getConnectionId(connection), connection])),
+      plan.connections.map(connection => [this.getConnectionId(connection), connection])
+    );
+    storage.pinnedConnections = restoreMap(storage.pinnedConnections, plan.pinnedConnections);
+    storage.notes = restoreMap(storage.notes, plan.notes);
+    this.feedbackStore.votes = restoreMap(this.feedbackStore.votes, plan.feedback);
+    this.connections = Array.from(connections.entries()).map(([id, connection]) => ({
+      ...connection,
+      pinned: storage.pinnedConnections.has(id)
+    }));
+
+    await storage.contentDB.restoreArchives(plan.archives, { replace });
+    if (replace) {
+      const { settings, skipped } = WeavesBackup.restorableSettings(plan.settings, storage.DEFAULT_SETTINGS);
+      if (skipped.length > 0) {
+        console.warn('Backup settings with unexpected values were left at their defaults: ' + skipped.join(', '));
+      }
+      storage.settings = { ...storage.DEFAULT_SETTINGS };
+      await storage.updateSettings(settings);
+      await applySettingsChanges(storage.settings);
     }
+
+    this.contentIndex.rebuild(Array.from(this.contentStore.values()));
+    this.markAllDirty();
+    await this.saveData();
+    await storage.saveNotes();
+    await this.feedbackStore.persist();
+    await this.loadArchives();
+    console.log(`Restored backup from ${plan.date} (${mode})`);
+  }
+
+  findConnection(connectionId) {
+    return this.connections.find(c => this.getConnectionId(c) === connectionId) || null;
   }
 
   async pinConnection(connectionId) {
-    const connection = this.connections.find(c => this.getConnectionId(c) === connectionId);
-    if (connection) {
-      const success = await this.storageManager.pinConnection(connectionId, connection);
-      return success;
+    const connection = this.findConnection(connectionId);
+    if (!connection) return false;
+
+    const success = await this.storageManager.pinConnection(connectionId, connection);
+    if (success) {
+      connection.pinned = true;
+      this.markConnectionDirty(connection);
+      await this.saveData();
     }
-    return false;
+    return success;
   }
 
   async unpinConnection(connectionId) {
-    return await this.storageManager.unpinConnection(connectionId);
+    const connection = this.findConnection(connectionId);
+    if (connection) {
+      connection.pinned = false;
+      this.markConnectionDirty(connection);
+    }
+
+    const removed = await this.storageManager.unpinConnection(connectionId);
+    await this.saveData();
+    return removed;
+  }
+
+  // Returns true if the connection existed as a regular or pinned connection
+  async deleteConnection(connectionId) {
+    const initialLength = this.connections.length;
+    this.connections = this.connections.filter(c => this.getConnectionId(c) !== connectionId);
+    const unpinned = await this.storageManager.unpinConnection(connectionId);
+    await this.storageManager.setNote(connectionId, '');
+
+    await this.saveData();
+    return this.connections.length < initialLength || unpinned;
   }
 
   getConnectionId(connection) {
     return this.storageManager.generateConnectionId(connection);
   }
 
+  // What another device needs to show a pin without its pages; strength changes on every new
+  // observation, so it's rounded to keep the pin from syncing each time
+  syncedPin(connection) {
+    const text = (value, length) => String(value || '').substring(0, length);
+    return {
+      from: connection.from,
+      to: connection.to,
+      fromTitle: text(connection.fromTitle, 200),
+      toTitle: text(connection.toTitle, 200),
+      fromUrl: text(connection.fromUrl, 500),
+      toUrl: text(connection.toUrl, 500),
+      reason: text(connection.reason, 1000),
+      type: connection.type || null,
+      strength: Math.round((connection.strength || 0) * 100) / 100,
+      projectId: connection.projectId || null,
+      pinnedAt: connection.pinnedAt,
+      pinnedDate: connection.pinnedDate
+    };
+  }
+
+  // Every item WeavesSyncManager keeps in step across devices
+  async getSyncItems() {
+    await this.dataReady;
+    const settings = this.storageManager.settings;
+    const items = {};
+    this.storageManager.pinnedConnections.forEach((connection, id) => {
+      items['pin:' + id] = this.syncedPin(connection);
+    });
+    this.storageManager.notes.forEach((note, id) => {
+      items['note:' + id] = note;
+    });
+    WeavesSyncManager.SYNCED_SETTINGS
+      .filter(key => settings[key] !== undefined)
+      .forEach(key => {
+        items['setting:' + key] = settings[key];
+      });
+    return items;
+  }
+
+  async applySyncChanges({ updated, removed }) {
+    const storage = this.storageManager;
+    const settings = {};
+    let pinsChanged = false;
+    let notesChanged = false;
+
+    Object.entries(updated).forEach(([key, value]) => {
+      const [kind, id] = [key.substring(0, key.indexOf(':')), key.substring(key.indexOf(':') + 1)];
+      if (kind === 'pin') {
+        // A pin keeps the full local connection when this device has it
+        const local = this.findConnection(id);
+        storage.pinnedConnections.set(id, { ...(local || {}), ...value, pinned: true });
+        if (local) {
+          local.pinned = true;
+          this.markConnectionDirty(local);
+        }
+        pinsChanged = true;
+      } else if (kind === 'note') {
+        storage.notes.set(id, value);
+        notesChanged = true;
+      } else if (kind === 'setting' && WeavesSyncManager.SYNCED_SETTINGS.includes(id)) {
+        settings[id] = value;
+      }
+    });
+
+    removed.forEach(key => {
+      const [kind, id] = [key.substring(0, key.indexOf(':')), key.substring(key.indexOf(':') + 1)];
+      if (kind === 'pin') {
+        const local = this.findConnection(id);
+        if (local) {
+          local.pinned = false;
+          this.markConnectionDirty(local);
+        }
+        pinsChanged = storage.pinnedConnections.delete(id) || pinsChanged;
+      } else if (kind === 'note') {
+        notesChanged = storage.notes.delete(id) || notesChanged;
+      }
+    });
+
+    if (pinsChanged) await storage.savePinnedConnections();
+    if (notesChanged) await storage.saveNotes();
+    if (Object.keys(settings).length > 0) {
+      await storage.updateSettings(settings);
+      await applySettingsChanges(settings);
+    }
+  }
+
   getAllConnections() {
     const regularConnections = this.connections.map(c => ({
       ...c,
@@ -303,7 +1168,10 @@ class WeavesAI {
         allConnections.push(regular);
       }
     });
-    
+    allConnections.forEach(connection => {
+      connection.note = this.storageManager.notes.get(connection.id) || '';
+    });
+
     return allConnections.sort((a, b) => {
       if (a.pinned && !b.pinned) return -1;
       if (!a.pinned && b.pinned) return 1;
@@ -314,47 +1182,65 @@ class WeavesAI {
 
   async initializeAI() {
   try {
-    const availability = await LanguageModel.availability();
-    console.log('AI Availability:', availability);
+    await this.storageManager.ready;
+    const settings = this.storageManager.settings;
+
+    if (this.session && this.session.destroy) {
+      this.session.destroy();
+    }
+    this.session = null;
+    this.isInitialized = false;
+
+    this.provider = WeavesModelProviders.create(settings.modelProvider, this.getProviderConfig(settings));
+    const available = await this.provider.isAvailable();
+    console.log('AI Availability (' + this.provider.id + '):', available);
     
-    // Force accept "available" status
-    if (availability) {
-      this.session = await LanguageModel.create({
+    if (available) {
+      this.session = await this.provider.createSession({
         temperature: 0.7,
         topK: 3,
       });
       this.isInitialized = true;
-      console.log('Weaves AI initialized successfully with Chrome AI');
+      console.log('Weaves AI initialized successfully with provider ' + this.provider.id);
     } else {
-      console.log('Chrome AI not ready, using fallback analysis');
-      this.isInitialized = false;
+      console.log('AI provider ' + this.provider.id + ' not ready, using fallback analysis');
     }
   } catch (error) {
-    console.error('Chrome AI initialization failed:', error);
+    console.error('AI initialization failed:', error);
     this.isInitialized = false;
   }
 }
 
-  async analyzeContent(content) {
-  if (!this.isInitialized) {
+  getProviderConfig(settings) {
+    switch (settings.modelProvider) {
+      case 'local-http':
+        return settings.localModel;
+      case 'mock':
+        return { responses: settings.mockResponses };
+      default:
+        return {};
+    }
+  }
+
+  getAIStatus() {
     return {
-      coreMessage: 'Content requires AI analysis',
-      perspective: 'unknown',
-      themes: [],
-      emotionalContext: 'neutral',
-      problems: [],
-      solutions: [],
-      assumptions: [],
-      implications: [],
-      contentNature: 'unanalyzed',
-      summary: content.substring(0, 300) + '...'
+      provider: this.provider ? this.provider.id : null,
+      initialized: this.isInitialized
     };
   }
 
+  async analyzeContent(content, scan = WeavesPromptGuard.scan(content), job = {}) {
+  if (!this.isInitialized) {
+    // Keyword analysis feeds the offline lexical engine in findConnections
+    return this.minimalFallbackAnalysis(content);
+  }
+
   try {
-    const prompt = `Analyze this content and return a JSON object with insights:
-    
-    Content: ${content.substring(0, 4000)}
+    const prompt = `Analyze this content and return a JSON object with insights.
+
+    ${WeavesPromptGuard.NOTICE}
+
+${WeavesPromptGuard.fence('page content', content.substring(0, 4000))}
     
     Return JSON:
     {
@@ -366,34 +1252,40 @@ class WeavesAI {
       "contentNature": "type of content"
     }`;
 
-    const result = await this.session.prompt(prompt);
-    try {
-      const parsed = JSON.parse(result);
-      return {
-        coreMessage: parsed.coreMessage || '',
-        perspective: 'analyzed',
-        themes: parsed.themes || [],
-        emotionalContext: parsed.emotionalContext || 'neutral',
-        problems: parsed.problems || [],
-        solutions: parsed.solutions || [],
-        assumptions: [],
-        implications: parsed.themes || [],
-        contentNature: parsed.contentNature || 'general',
-        summary: content.substring(0, 300) + '...'
-      };
-    } catch (parseError) {
+    const result = await this.session.prompt(prompt, { responseConstraint: ANALYSIS_SCHEMA });
+    const { value: parsed } = this.responseParser.parse('analysis', result, ANALYSIS_SCHEMA);
+    if (!parsed) {
+      return this.minimalFallbackAnalysis(content);
+    }
+
+    const injected = WeavesPromptGuard.validateOutput(parsed, [scan]);
+    if (injected) {
+      this.responseParser.recordRejection('analysis', injected, result);
       return this.minimalFallbackAnalysis(content);
     }
+
+    return {
+      coreMessage: parsed.coreMessage || '',
+      perspective: 'analyzed',
+      themes: parsed.themes || [],
+      emotionalContext: parsed.emotionalContext || 'neutral',
+      problems: parsed.problems || [],
+      solutions: parsed.solutions || [],
+      assumptions: [],
+      implications: parsed.themes || [],
+      contentNature: parsed.contentNature || 'general',
+      summary: content.substring(0, 300) + '...'
+    };
   } catch (error) {
+    if (this.shouldRetryModel(error, job)) throw error;
     console.warn('AI analysis failed:', error);
     return this.minimalFallbackAnalysis(content);
   }
 }
 
-  async findConnections(newContent, existingContents) {
+  async findConnections(newContent, existingContents, lensId = WeavesAnalysisLenses.DEFAULT_LENS, job = {}) {
   if (!this.isInitialized) {
-    console.log('AI not available - no connections generated');
-    return [];
+    return this.minimalFallbackConnections(newContent, existingContents);
   }
 
   try {
@@ -407,7 +1299,8 @@ class WeavesAI {
       contentNature: newContent.analysis?.contentNature || 'unknown'
     };
 
-    const existingAnalyses = existingContents.slice(0, 4).map((content, index) => ({
+    // Candidates arrive ranked by findCandidates, so the best matches make the prompt
+    const existingAnalyses = existingContents.slice(0, this.promptCandidateLimit).map((content, index) => ({
       index: index,
       title: content.title,
       content: content.analysis?.coreMessage || content.content?.substring(0, 400),
@@ -415,99 +1308,73 @@ class WeavesAI {
       problems: content.analysis?.problems || [],
       solutions: content.analysis?.solutions || [],
       contentNature: content.analysis?.contentNature || 'unknown',
-      id: content.id
+      id: content.id,
+      url: content.url
     }));
 
-    const prompt = `You are an expert academic advisor helping students and researchers discover intellectually valuable connections that would enhance their understanding or research.
-
-NEW CONTENT:
-Title: "${newAnalysis.title}"
-Key Points: ${newAnalysis.content}
-Type: ${newAnalysis.contentNature}
-
-EXISTING CONTENT TO COMPARE:
-${existingAnalyses.map(content => 
-  `${content.index}: "${content.title}" (${content.contentNature})\nKey Points: ${content.content}`
-).join('\n\n')}
-
-FIND CONNECTIONS THAT PROVIDE GENUINE ACADEMIC VALUE:
-
-Look for:
-- Methodological approaches in one that could solve limitations in another
-- Theoretical frameworks that bridge different disciplines
-- Empirical evidence that supports/challenges arguments across fields
-- Complementary perspectives on the same phenomenon
-- Historical patterns or case studies that illuminate current issues
-- Conceptual models that explain phenomena in different domains
-- Research gaps in one area filled by insights from another
-- Contradictions that reveal deeper questions worth investigating
-
-IGNORE surface-level similarities like shared keywords or topics.
-
-ONLY suggest connections that would make a researcher think: "I hadn't considered applying this framework/method/evidence to my area of study."
-
-Respond with ONLY the most intellectually valuable connections:
+    const prompt = WeavesAnalysisLenses.buildConnectionPrompt(lensId, newAnalysis, existingAnalyses);
 
-Format: CONNECT: [index] | [0.7-1.0] | [specific insight explaining HOW this connection advances understanding or research]
-
-Maximum 2 connections. If no genuinely valuable connections exist, respond with: NO_CONNECTIONS`;
-
-    const result = await this.session.prompt(prompt);
-    console.log('Academic AI response:', result);
+    const result = await this.session.prompt(prompt, { responseConstraint: CONNECTIONS_SCHEMA });
+    console.log(`AI response (${lensId} lens):`, result);
     
-    // Handle case where no valuable connections are found
-    if (result.trim() === 'NO_CONNECTIONS') {
-      console.log('AI found no academically valuable connections');
+    const { value: parsed } = this.responseParser.parse('connections', result, CONNECTIONS_SCHEMA);
+    if (!parsed) {
+      return [];
+    }
+
+    if (parsed.connections.length === 0) {
+      console.log(`AI found no valuable connections through the ${lensId} lens`);
       return [];
     }
     
-    // Parse structured text response
     const connections = [];
-    const lines = result.split('\n');
-    
-    for (const line of lines) {
-      if (line.startsWith('CONNECT:')) {
-        try {
-          const parts = line.replace('CONNECT:', '').split('|').map(p => p.trim());
-          if (parts.length >= 3) {
-            const index = parseInt(parts[0]);
-            const strength = parseFloat(parts[1]);
-            const reason = parts[2];
-            
-            // Validate the connection meets academic standards
-            if (index >= 0 && index < existingAnalyses.length && 
-                strength >= 0.7 && strength <= 1.0 && 
-                reason.length > 50 && // Ensure detailed reasoning
-                !reason.toLowerCase().includes('both mention') && // Filter shallow connections
-                !reason.toLowerCase().includes('both discuss') &&
-                !reason.toLowerCase().includes('both are about')) {
-              
-              connections.push({
-                contentId: existingAnalyses[index].id,
-                strength: strength,
-                reason: reason,
-                type: 'academic-insight',
-                relationship: 'provides-framework'
-              });
-            } else {
-              console.log('Rejected shallow connection:', reason);
-            }
-          }
-        } catch (parseError) {
-          console.log('Failed to parse connection line:', line);
-        }
+    const tallies = this.feedbackStore.tally();
+    for (const candidate of parsed.connections) {
+      const calibration = this.feedbackStore.adjustment(this.feedbackStore.describe({
+        fromUrl: newContent.url,
+        toUrl: existingAnalyses[candidate.index]?.url,
+        type: candidate.type,
+        lens: lensId,
+        reason: candidate.reason
+      }), tallies);
+
+      const target = existingContents[candidate.index];
+      const rejection = WeavesAnalysisLenses.checkConnection(lensId, candidate, existingAnalyses.length, calibration) ||
+        WeavesPromptGuard.validateOutput(candidate, [
+          { suspicious: newContent.suspicious, matches: newContent.suspiciousMatches },
+          { suspicious: target?.suspicious, matches: target?.suspiciousMatches }
+        ]);
+      if (rejection) {
+        this.responseParser.recordRejection('connection', rejection, candidate);
+        continue;
       }
+
+      connections.push({
+        contentId: existingAnalyses[candidate.index].id,
+        strength: candidate.strength,
+        reason: candidate.reason.trim(),
+        type: candidate.type,
+        direction: candidate.direction,
+        calibration: calibration
+      });
     }
     
-    console.log('Academically valuable connections found:', connections.length);
+    console.log('Valuable connections found:', connections.length);
     return connections;
     
   } catch (error) {
-    console.warn('Academic AI analysis failed:', error);
+    if (this.shouldRetryModel(error, job)) throw error;
+    console.warn('AI connection analysis failed:', error);
     return [];
   }
 }
 
+  // A model outage or timeout goes back to the job queue to retry with backoff; permanent failures,
+  // the last attempt and calls from outside the queue fall back instead
+  shouldRetryModel(error, job) {
+    return !error?.permanent && job.attempts !== undefined && job.attempts < this.jobQueue.maxAttempts;
+  }
+
   minimalFallbackAnalysis(content) {
     const sentences = content.split(/[.!?]+/).filter(s => s.length > 15);
     const words = content.toLowerCase()
@@ -540,15 +1407,18 @@ Maximum 2 connections. If no genuinely valuable connections exist, respond with:
       assumptions: [],
       implications: importantWords.slice(0, 3),
       contentNature: 'general',
-      summary: content.substring(0, 300) + '...'
+      summary: content.substring(0, 300) + '...',
+      // Stands in until the model can analyse the page, so it's never cached
+      fallback: true
     };
   }
 
   minimalFallbackConnections(newContent, existingContents) {
-  // Don't generate fake connections - return empty array
-  console.log('No AI available and no fallback connections generated');
-  return [];
-}
+    // BM25 over fallback themes/problems/solutions - results are flagged as heuristic
+    const connections = this.lexicalEngine.findConnections(newContent, existingContents);
+    console.log('AI not available - lexical engine proposed ' + connections.length + ' heuristic connections');
+    return connections;
+  }
 
   isStopWord(word) {
     const stopWords = ['this', 'that', 'with', 'have', 'will', 'from', 'they', 'been', 'have', 'their', 'said', 'each', 'which', 'than', 'them', 'many', 'some', 'time', 'very', 'when', 'much', 'your'];
@@ -580,239 +1450,449 @@ Maximum 2 connections. If no genuinely valuable connections exist, respond with:
 // Initialize Weaves AI
 const weavesAI = new WeavesAI();
 
-// Listen for content updates from tabs
-chrome.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
-  if (message.type === 'CONTENT_UPDATE') {
-    try {
-      const tabId = sender.tab.id;
-      
-      const content = {
-        id: tabId + '-' + Date.now(),
-        tabId: tabId,
-        url: sender.tab.url,
-        title: message.title,
-        content: message.content,
-        domain: message.domain,
-        platform: message.platform,
-        contentType: message.contentType,
-        timestamp: Date.now(),
-        analysis: await weavesAI.analyzeContent(message.content)
-      };
-
-      weavesAI.contentStore.set(content.id, content);
-
-      const existingContents = Array.from(weavesAI.contentStore.values())
-        .filter(c => c.id !== content.id)
-        .sort((a, b) => b.timestamp - a.timestamp)
-        .slice(0, 12);
-
-      const connections = await weavesAI.findConnections(content, existingContents);
-      
-      (Array.isArray(connections) ? connections : []).forEach(conn => {
-        const targetContent = weavesAI.contentStore.get(conn.contentId); // Add this line
-
-
-        weavesAI.connections.push({
-            from: content.id,
-            to: conn.contentId,
-            fromTitle: content.title,                    // Make sure this line exists
-            toTitle: targetContent?.title || 'Unknown',  // Make sure this line exists
-            fromUrl: content.url,                        // Add if missing
-            toUrl: targetContent?.url || '',             // Add if missing
-            strength: conn.strength,
-            reason: conn.reason,
-            type: conn.type,
-            relationship: conn.relationship,
-            timestamp: Date.now(),
-            platforms: `${content.title} → ${targetContent?.title || 'Unknown'}`  // Use actual titles
-        });
-      });
+// Every background message has exactly one handler; the router validates payloads against
+// message-types.js and sends exactly one reply, turning thrown errors into { success: false, code, error }
+const messageRouter = new WeavesMessageRouter({ scope: 'background' });
+const { NOT_FOUND, NOT_ALLOWED, UNAVAILABLE, INVALID_PAYLOAD } = WeavesMessageTypes.ERROR_CODES;
 
-      await weavesAI.saveData();
+messageRouter.register(WeavesMessageTypes.CHECK_CAPTURE_POLICY, async (message, sender) => {
+  await weavesAI.storageManager.ready;
+  return WeavesPrivacyPolicy.evaluate(sender.tab?.url || message.url, weavesAI.storageManager.settings, {
+    incognito: Boolean(sender.tab?.incognito)
+  });
+});
 
-      const highQualityConnections = connections.filter(c => c.strength >= 0.75);
-      if (highQualityConnections.length > 0) {
-        chrome.action.setBadgeText({
-          text: highQualityConnections.length.toString(),
-          tabId: tabId
-        });
-        chrome.action.setBadgeBackgroundColor({color: '#4CAF50'});
-      }
+messageRouter.register(WeavesMessageTypes.CONTENT_UPDATE, async (message, sender) => {
+  if (!sender.tab) {
+    throw new WeavesMessageError(NOT_ALLOWED, 'Content updates must come from a tab');
+  }
+  const tabId = sender.tab.id;
 
-      sendResponse({success: true, connections: connections.length, highQuality: highQualityConnections.length});
-    } catch (error) {
-      console.error('Error processing content:', error);
-      sendResponse({success: false, error: error.message});
-    }
+  // Checked again here so a stale or modified content script can't bypass the policy
+  await weavesAI.storageManager.ready;
+  const decision = WeavesPrivacyPolicy.evaluate(sender.tab.url, weavesAI.storageManager.settings, {
+    incognito: Boolean(sender.tab.incognito)
+  });
+  if (!decision.allowed) {
+    return {success: false, skipped: true, error: decision.reason};
   }
 
-  if (message.type === 'GET_CONNECTIONS') {
+  // PII is replaced before the text reaches the queue, the store or a prompt
+  const redacted = weavesAI.redactPayload(message);
+
+  // Analysis runs on the job queue; results reach the tab as CONNECTIONS_FOUND
+  const job = weavesAI.jobQueue.enqueue(String(tabId), {
+    tabId: tabId,
+    url: sender.tab.url,
+    canonicalUrl: message.canonicalUrl,
+    // Pages belong to the project that was active when they were read
+    projectId: weavesAI.storageManager.settings.activeProjectId,
+    title: redacted.title,
+    content: redacted.content,
+    redactions: redacted.redactions,
+    domain: message.domain,
+    platform: message.platform,
+    contentType: message.contentType,
+    citation: redacted.citation
+  });
+
+  return {success: true, queued: true, jobId: job.id, queueDepth: weavesAI.jobQueue.getStatus().depth};
+});
+
+messageRouter.register(WeavesMessageTypes.GET_CONNECTIONS, () => {
   const recentContent = Array.from(weavesAI.contentStore.values())
     .sort((a, b) => b.timestamp - a.timestamp)
     .slice(0, 25);
-  
+
   const allConnections = weavesAI.getAllConnections()
-    // Remove or extend the time filter
-    // .filter(conn => Date.now() - conn.timestamp < 86400000)
-    .slice(0, 50);
+    .slice(0, 50)
+    .map(conn => ({
+      ...conn,
+      // Per-page PII counts so the popup can show what was removed
+      redactions: {
+        from: weavesAI.contentStore.get(conn.from)?.redactions || null,
+        to: weavesAI.contentStore.get(conn.to)?.redactions || null
+      },
+      imported: Boolean(weavesAI.contentStore.get(conn.from)?.imported || weavesAI.contentStore.get(conn.to)?.imported)
+    }));
 
-  sendResponse({
+  return {
     content: recentContent,
-    connections: allConnections
-  });
+    connections: allConnections,
+    queue: weavesAI.jobQueue.getStatus()
+  };
+});
+
+messageRouter.register(WeavesMessageTypes.GET_QUEUE_STATUS, () => ({queue: weavesAI.jobQueue.getStatus()}));
+
+messageRouter.register(WeavesMessageTypes.GET_SITE_STATUS, async (message) => {
+  await weavesAI.storageManager.ready;
+  return {
+    site: WeavesPrivacyPolicy.siteOf(message.url),
+    decision: WeavesPrivacyPolicy.evaluate(message.url, weavesAI.storageManager.settings, {
+      incognito: Boolean(message.incognito)
+    })
+  };
+});
+
+messageRouter.register(WeavesMessageTypes.UPDATE_SITE_POLICY, async (message) => {
+  await weavesAI.storageManager.ready;
+  const updates = WeavesPrivacyPolicy.applyAction(message.action, message.url, weavesAI.storageManager.settings);
+  await weavesAI.storageManager.updateSettings(updates);
+  return {
+    success: true,
+    site: WeavesPrivacyPolicy.siteOf(message.url),
+    decision: WeavesPrivacyPolicy.evaluate(message.url, weavesAI.storageManager.settings, {
+      incognito: Boolean(message.incognito)
+    })
+  };
+});
+
+messageRouter.register(WeavesMessageTypes.GET_SETTINGS, async () => {
+  await weavesAI.storageManager.ready;
+  return {
+    settings: weavesAI.storageManager.settings,
+    providers: WeavesModelProviders.list(),
+    lenses: WeavesAnalysisLenses.list(),
+    privacyCategories: WeavesPrivacyPolicy.listCategories(),
+    piiCategories: WeavesPiiRedactor.list(),
+    aiStatus: weavesAI.getAIStatus()
+  };
+});
+
+messageRouter.register(WeavesMessageTypes.UPDATE_SETTINGS, async (message) => {
+  const settings = message.settings;
+  const endpoint = settings.localModel?.endpoint;
+  if (endpoint && !WeavesModelProviders.isLocalEndpoint(endpoint)) {
+    throw new WeavesMessageError(INVALID_PAYLOAD, 'The local model endpoint must be on localhost, 127.0.0.1 or [::1]');
+  }
+  await weavesAI.storageManager.updateSettings(settings);
+  await applySettingsChanges(settings);
+
+  return {success: true, settings: weavesAI.storageManager.settings, aiStatus: weavesAI.getAIStatus()};
+});
+
+// Brings running components in line with changed settings, whether changed here or synced from another device
+async function applySettingsChanges(settings) {
+  // Switching provider or its config needs a fresh session
+  if ('modelProvider' in settings || 'localModel' in settings || 'mockResponses' in settings) {
+    await weavesAI.initializeAI();
+  }
+  if ('analysisCacheSize' in settings || 'analysisCacheTTLHours' in settings) {
+    weavesAI.analysisCache.configure({
+      maxEntries: settings.analysisCacheSize,
+      ttlHours: settings.analysisCacheTTLHours
+    });
+  }
+  if ('maxConcurrentJobs' in settings) {
+    weavesAI.jobQueue.concurrency = Math.max(1, settings.maxConcurrentJobs);
+    weavesAI.jobQueue.schedule();
+  }
+  if ('resetTime' in settings) {
+    await scheduler.schedule('daily-reset');
+  }
+  if ('includeArchivesInDiscovery' in settings) {
+    await weavesAI.loadArchives();
+  }
+  if (settings.syncEnabled) {
+    weavesAI.syncManager.schedule(0);
+  }
 }
 
-  if (message.type === 'PIN_CONNECTION') {
-    const success = await weavesAI.pinConnection(message.connectionId);
-    sendResponse({success});
+messageRouter.register(WeavesMessageTypes.GET_DIAGNOSTICS, () => ({
+  aiStatus: weavesAI.getAIStatus(),
+  queue: weavesAI.jobQueue.getStatus(),
+  cache: weavesAI.analysisCache.getStats(),
+  rejections: weavesAI.responseParser.getRejections(),
+  suspiciousContent: Array.from(weavesAI.contentStore.values())
+    .filter(c => c.suspicious)
+    .map(c => ({ id: c.id, title: c.title, url: c.url, reasons: (c.suspiciousMatches || []).map(m => m.label) }))
+}));
+
+messageRouter.register(WeavesMessageTypes.GET_MAINTENANCE_STATUS, async () => ({
+  jobs: await scheduler.getStatus()
+}));
+
+messageRouter.register(WeavesMessageTypes.CLEAR_ANALYSIS_CACHE, async () => {
+  await weavesAI.analysisCache.clear();
+  return {success: true, cache: weavesAI.analysisCache.getStats()};
+});
+
+messageRouter.register(WeavesMessageTypes.CONNECTION_FEEDBACK, async (message) => {
+  const vote = message.vote || null;
+  const connection = weavesAI.findConnection(message.connectionId) ||
+    weavesAI.storageManager.pinnedConnections.get(message.connectionId);
+  if (!connection) {
+    throw new WeavesMessageError(NOT_FOUND, 'Connection not found');
   }
 
-  if (message.type === 'UNPIN_CONNECTION') {
-    const success = await weavesAI.unpinConnection(message.connectionId);
-    sendResponse({success});
+  await weavesAI.feedbackStore.record(message.connectionId, vote, connection);
+  connection.feedback = vote;
+  weavesAI.markConnectionDirty(connection);
+  weavesAI.storageManager.refreshPinnedConnection(message.connectionId, connection);
+  await weavesAI.saveData();
+
+  return {success: true, feedback: vote};
+});
+
+messageRouter.register(WeavesMessageTypes.GET_FEEDBACK_STATS, () => ({stats: weavesAI.feedbackStore.getStats()}));
+
+messageRouter.register(WeavesMessageTypes.RESET_FEEDBACK, async () => {
+  await weavesAI.feedbackStore.reset();
+  weavesAI.connections.forEach(connection => delete connection.feedback);
+  weavesAI.storageManager.pinnedConnections.forEach(connection => delete connection.feedback);
+  weavesAI.markAllDirty();
+  await weavesAI.saveData();
+  return {success: true, stats: weavesAI.feedbackStore.getStats()};
+});
+
+messageRouter.register(WeavesMessageTypes.PIN_CONNECTION, async (message) => {
+  if (!weavesAI.findConnection(message.connectionId)) {
+    throw new WeavesMessageError(NOT_FOUND, 'Connection not found');
   }
+  if (!await weavesAI.pinConnection(message.connectionId)) {
+    throw new WeavesMessageError(NOT_ALLOWED,
+      'Cannot pin more than ' + weavesAI.storageManager.settings.maxPinnedConnections + ' connections');
+  }
+  return {success: true};
+});
 
-  if (message.type === 'GET_STORAGE_STATS') {
-    const stats = await weavesAI.storageManager.getStorageStats();
-    sendResponse({stats});
+messageRouter.register(WeavesMessageTypes.UNPIN_CONNECTION, async (message) => {
+  const removed = await weavesAI.unpinConnection(message.connectionId);
+  return {success: true, removed};
+});
+
+messageRouter.register(WeavesMessageTypes.SET_CONNECTION_NOTE, async (message) => {
+  await weavesAI.storageManager.ready;
+  if (!weavesAI.findConnection(message.connectionId) &&
+    !weavesAI.storageManager.pinnedConnections.has(message.connectionId)) {
+    throw new WeavesMessageError(NOT_FOUND, 'Connection not found');
   }
+  await weavesAI.storageManager.setNote(message.connectionId, message.note);
+  return {success: true, note: weavesAI.storageManager.notes.get(message.connectionId) || ''};
+});
 
-  if (message.type === 'DELETE_CONNECTION') {
-    try {
-      const connectionId = message.connectionId;
-      
-      // Remove from regular connections
-      weavesAI.connections = weavesAI.connections.filter(
-        conn => weavesAI.getConnectionId(conn) !== connectionId
-      );
-      
-      // Remove from pinned connections if it exists
-      await weavesAI.unpinConnection(connectionId);
-      
-      // Save updated data
-      await weavesAI.saveData();
-      
-      sendResponse({success: true});
-    } catch (error) {
-      console.error('Failed to delete connection:', error);
-      sendResponse({success: false, error: error.message});
-    }
+messageRouter.register(WeavesMessageTypes.DELETE_CONNECTION, async (message) => {
+  if (!await weavesAI.deleteConnection(message.connectionId)) {
+    throw new WeavesMessageError(NOT_FOUND, 'Connection not found');
   }
+  return {success: true};
+});
 
-  if (message.type === 'CLEAR_DATA') {
-    weavesAI.contentStore.clear();
-    weavesAI.connections = [];
-    chrome.action.setBadgeText({text: ''});
-    await weavesAI.saveData();
-    sendResponse({success: true});
+messageRouter.register(WeavesMessageTypes.GET_ARCHIVES, async () => {
+  await weavesAI.dataReady;
+  const archives = await weavesAI.storageManager.contentDB.getArchives();
+  return {
+    archives: archives.map(archive => ({
+      date: archive.date,
+      archivedAt: archive.archivedAt,
+      documents: archive.documents.length,
+      connections: archive.connections.length
+    }))
+  };
+});
+
+messageRouter.register(WeavesMessageTypes.SEARCH_ARCHIVES, async (message) => {
+  await weavesAI.dataReady;
+  return {connections: await weavesAI.searchArchives(message.query, message.date || null)};
+});
+
+messageRouter.register(WeavesMessageTypes.RESTORE_ARCHIVED_CONNECTION, async (message) => {
+  await weavesAI.dataReady;
+  const restored = await weavesAI.restoreArchivedConnection(message.date, message.connectionId);
+  if (!restored) {
+    throw new WeavesMessageError(NOT_FOUND, 'Archived connection not found');
   }
+  return {success: true, connectionId: weavesAI.getConnectionId(restored)};
+});
 
-  if (message.type === 'PIN_CONNECTION') {
-    try {
-      const connectionId = message.connectionId;
-      console.log('PIN_CONNECTION received for ID:', connectionId);
-      
-      // Find the connection in the main connections array
-      const connection = weavesAI.connections.find(conn => {
-        const id = weavesAI.storageManager.generateConnectionId(conn);
-        return id === connectionId;
-      });
-      
-      if (connection) {
-        // Mark as pinned in main array
-        connection.pinned = true;
-        
-        // Add to pinned storage
-        const success = await weavesAI.storageManager.pinConnection(connectionId, connection);
-        
-        // Save data
-        await weavesAI.saveData();
-        
-        console.log('Pin successful:', success);
-        sendResponse({success: true});
-      } else {
-        console.error('Connection not found for ID:', connectionId);
-        sendResponse({success: false, error: 'Connection not found'});
-      }
-    } catch (error) {
-      console.error('Failed to pin connection:', error);
-      sendResponse({success: false, error: error.message});
-    }
+// Shared by the export handlers
+async function collectExportSelection(message) {
+  await weavesAI.dataReady;
+  const selection = await weavesAI.collectExport(message);
+  if (!selection) {
+    throw new WeavesMessageError(NOT_FOUND, message.scope === 'connection'
+      ? 'Connection not found'
+      : 'No archive for ' + message.date);
   }
+  return selection;
+}
 
-  if (message.type === 'UNPIN_CONNECTION') {
-    try {
-      const connectionId = message.connectionId;
-      console.log('UNPIN_CONNECTION received for ID:', connectionId);
-      
-      // Find and unmark in main array
-      const connection = weavesAI.connections.find(conn => {
-        const id = weavesAI.storageManager.generateConnectionId(conn);
-        return id === connectionId;
-      });
-      
-      if (connection) {
-        connection.pinned = false;
-      }
-      
-      // Remove from pinned storage
-      const success = await weavesAI.storageManager.unpinConnection(connectionId);
-      
-      // Save data
-      await weavesAI.saveData();
-      
-      console.log('Unpin successful:', success);
-      sendResponse({success: true});
-    } catch (error) {
-      console.error('Failed to unpin connection:', error);
-      sendResponse({success: false, error: error.message});
-    }
+messageRouter.register(WeavesMessageTypes.EXPORT_MARKDOWN, async (message) => {
+  const { documents, connections, pinnedIds, label } = await collectExportSelection(message);
+  const files = WeavesMarkdownExport.buildVault(documents, connections, {
+    label,
+    pinnedIds,
+    connectionId: conn => weavesAI.getConnectionId(conn),
+    projectNames: new Map((weavesAI.storageManager.settings.projects || []).map(p => [p.id, p.name]))
+  });
+  return {success: true, files, documents: documents.length, connections: connections.length};
+});
+
+messageRouter.register(WeavesMessageTypes.EXPORT_GRAPH, async (message) => {
+  const { documents, connections, pinnedIds, label } = await collectExportSelection(message);
+  const file = WeavesGraphExport.build(message.format, documents, connections, {
+    label,
+    pinnedIds,
+    connectionId: conn => weavesAI.getConnectionId(conn)
+  });
+  return {success: true, ...file, documents: documents.length, connections: connections.length};
+});
+
+messageRouter.register(WeavesMessageTypes.EXPORT_CITATIONS, async (message) => {
+  const { documents, connections } = await collectExportSelection(message);
+  const file = WeavesCitationExport.build(message.format, documents, connections);
+  return {success: true, ...file, documents: documents.length, connections: connections.length};
+});
+
+// Bookmarks and history are optional permissions the popup requests before sending these
+async function requireImportPermissions(message) {
+  if (!await WeavesImportSources.hasPermissions(message)) {
+    throw new WeavesMessageError(NOT_ALLOWED, 'Allow Weaves to read your bookmarks or history first');
   }
+}
 
-  if (message.type === 'DELETE_CONNECTION') {
-    try {
-      const connectionId = message.connectionId;
-      console.log('DELETE_CONNECTION received for ID:', connectionId);
-      
-      // Remove from main connections array
-      const initialLength = weavesAI.connections.length;
-      weavesAI.connections = weavesAI.connections.filter(conn => {
-        const id = weavesAI.storageManager.generateConnectionId(conn);
-        return id !== connectionId;
-      });
-      
-      const wasDeleted = weavesAI.connections.length < initialLength;
-      
-      // Also remove from pinned if it exists
-      await weavesAI.storageManager.unpinConnection(connectionId);
-      
-      // Save updated data
-      await weavesAI.saveData();
-      
-      console.log('Delete successful:', wasDeleted);
-      sendResponse({success: wasDeleted});
-    } catch (error) {
-      console.error('Failed to delete connection:', error);
-      sendResponse({success: false, error: error.message});
-    }
+messageRouter.register(WeavesMessageTypes.IMPORT_PREVIEW, async (message) => {
+  await requireImportPermissions(message);
+  const items = await WeavesImportSources.collect(message);
+  return {success: true, ...WeavesImportSources.summarize(items)};
+});
+
+messageRouter.register(WeavesMessageTypes.IMPORT_SOURCES, async (message) => {
+  await requireImportPermissions(message);
+  await weavesAI.dataReady;
+  const result = await weavesAI.importSources(message);
+  return {success: true, ...result, queue: weavesAI.jobQueue.getStatus()};
+});
+
+messageRouter.register(WeavesMessageTypes.GET_SYNC_STATUS, async () => {
+  await weavesAI.syncManager.loadState();
+  return {sync: weavesAI.syncManager.getStatus()};
+});
+
+messageRouter.register(WeavesMessageTypes.SYNC_NOW, async () => {
+  await weavesAI.storageManager.ready;
+  if (!weavesAI.syncManager.isEnabled()) {
+    throw new WeavesMessageError(NOT_ALLOWED, 'Sync is turned off');
+  }
+  const sync = await weavesAI.syncManager.sync();
+  return {success: !sync.lastError, sync};
+});
+
+messageRouter.register(WeavesMessageTypes.CLEAR_SYNC_CONFLICTS, async () => {
+  await weavesAI.syncManager.clearConflicts();
+  return {success: true, sync: weavesAI.syncManager.getStatus()};
+});
+
+// Decrypts and checks a backup file; nothing is restored unless every check passes
+async function openBackup(message) {
+  const { envelope, errors } = WeavesBackup.parseEnvelope(message.backup);
+  if (errors) {
+    throw new WeavesMessageError(INVALID_PAYLOAD, errors[0], errors);
+  }
+  let payload;
+  try {
+    payload = await WeavesBackup.decrypt(envelope, message.passphrase);
+  } catch (error) {
+    throw new WeavesMessageError(NOT_ALLOWED, error.message);
   }
+  const problems = WeavesBackup.validatePayload(payload, WeavesStorageManager.SCHEMA_VERSION);
+  if (problems.length > 0) {
+    throw new WeavesMessageError(INVALID_PAYLOAD, 'The backup failed its schema check: ' + problems[0], problems.slice(0, 20));
+  }
+  await weavesAI.dataReady;
+  return payload;
+}
 
-  return true; // Keep message channel open for async response
+messageRouter.register(WeavesMessageTypes.CREATE_BACKUP, async (message) => {
+  await weavesAI.dataReady;
+  const payload = await weavesAI.createBackupPayload();
+  const envelope = await WeavesBackup.encrypt(payload, message.passphrase);
+  return {
+    success: true,
+    content: JSON.stringify(envelope),
+    mimeType: 'application/json',
+    date: payload.date,
+    documents: payload.documents.length,
+    connections: payload.connections.length,
+    archives: payload.archives.length
+  };
 });
 
-// Clean up old data periodically
-setInterval(() => {
-  const oneWeekAgo = Date.now() - (7 * 24 * 60 * 60 * 1000);
-  
-  for (const [id, content] of weavesAI.contentStore.entries()) {
-    if (content.timestamp < oneWeekAgo) {
-      weavesAI.contentStore.delete(id);
-    }
+messageRouter.register(WeavesMessageTypes.PREVIEW_BACKUP, async (message) => {
+  const payload = await openBackup(message);
+  return {success: true, preview: await weavesAI.previewBackup(payload)};
+});
+
+messageRouter.register(WeavesMessageTypes.RESTORE_BACKUP, async (message) => {
+  const payload = await openBackup(message);
+  const preview = await weavesAI.previewBackup(payload);
+  await weavesAI.restoreBackup(payload, message.mode);
+  return {success: true, mode: message.mode, preview};
+});
+
+messageRouter.register(WeavesMessageTypes.GET_STORAGE_STATS, async () => ({
+  stats: await weavesAI.storageManager.getStorageStats()
+}));
+
+messageRouter.register(WeavesMessageTypes.CLEAR_DATA, async () => {
+  weavesAI.contentStore.clear();
+  weavesAI.contentIndex.clear();
+  weavesAI.connections = [];
+  chrome.action.setBadgeText({text: ''});
+  await weavesAI.saveData();
+  return {success: true};
+});
+
+// Sent when the user clicks an in-page notification
+messageRouter.register(WeavesMessageTypes.OPEN_POPUP, async () => {
+  try {
+    await chrome.action.openPopup();
+  } catch (error) {
+    // openPopup needs a focused window and isn't available in every Chrome version
+    throw new WeavesMessageError(UNAVAILABLE, 'Could not open the popup: ' + error.message);
   }
-  
-  weavesAI.connections = weavesAI.connections.filter(
-    conn => conn.timestamp > oneWeekAgo
-  );
-}, 60000);
+  return {success: true};
+});
+
+messageRouter.listen();
+
+// Updates also restart the worker, so this normally finds nothing left to do
+chrome.runtime.onInstalled.addListener(() => {
+  weavesAI.dataReady.then(() => weavesAI.storageManager.migrate(weavesAI));
+});
+
+// Drop queued analysis for tabs that are gone
+chrome.tabs.onRemoved.addListener((tabId) => {
+  weavesAI.jobQueue.cancel(String(tabId));
+});
+
+// Periodic work runs on alarms; timers die with the idle service worker
+const scheduler = new WeavesScheduler()
+  .register('daily-reset', {
+    label: 'Daily reset',
+    run: () => weavesAI.runDailyReset(),
+    nextRunAt: () => weavesAI.storageManager.getNextResetTime()
+  })
+  .register('retention-prune', {
+    label: 'Retention pruning',
+    run: () => weavesAI.pruneExpiredData(),
+    periodInMinutes: 60
+  })
+  .register('cache-eviction', {
+    label: 'Analysis cache eviction',
+    run: () => weavesAI.evictAnalysisCache(),
+    periodInMinutes: 360
+  })
+  // Catches up on remote changes missed while the browser was closed or sync was unavailable
+  .register('cloud-sync', {
+    label: 'Sync pins, notes and settings',
+    run: () => weavesAI.storageManager.ready.then(() => weavesAI.syncManager.sync()),
+    periodInMinutes: 30
+  });
+
+scheduler.listen();
+weavesAI.syncManager.listen();
+weavesAI.storageManager.ready.then(() => scheduler.ensureAlarms());
 
 console.log('Weaves background service worker loaded');
\ No newline at end of file
@@ -0,0 +1,271 @@
+// Weaves Backup - Passphrase-encrypted backup files (PBKDF2 + AES-GCM) and the checks run before restoring one
+const WeavesBackup = {
+  FORMAT: 'weaves-backup',
+  VERSION: 1,
+  KDF_ITERATIONS: 600000, // PBKDF2-SHA256 work factor recommended by OWASP
+  MIN_PASSPHRASE_LENGTH: 8,
+  MODES: ['merge', 'replace'],
+
+  // The unencrypted wrapper; everything but these parameters is inside the ciphertext
+  ENVELOPE_SCHEMA: {
+    type: 'object',
+    required: ['format', 'version', 'kdf', 'cipher', 'data'],
+    properties: {
+      format: { type: 'string', enum: ['weaves-backup'] },
+      version: { type: 'integer', minimum: 1 },
+      createdAt: { type: 'string' },
+      kdf: {
+        type: 'object',
+        required: ['name', 'hash', 'iterations', 'salt'],
+        properties: {
+          name: { type: 'string', enum: ['PBKDF2'] },
+          hash: { type: 'string', enum: ['SHA-256'] },
+          iterations: { type: 'integer', minimum: 100000, maximum: 10000000 },
+          salt: { type: 'string', minLength: 16 }
+        }
+      },
+      cipher: {
+        type: 'object',
+        required: ['name', 'iv'],
+        properties: {
+          name: { type: 'string', enum: ['AES-GCM'] },
+          iv: { type: 'string', minLength: 16 }
+        }
+      },
+      data: { type: 'string', minLength: 1 }
+    }
+  },
+
+  PAYLOAD_SCHEMA: {
+    type: 'object',
+    required: ['schemaVersion', 'createdAt', 'date', 'settings', 'documents', 'connections', 'pinnedConnections', 'notes', 'archives', 'feedback'],
+    properties: {
+      schemaVersion: { type: 'integer', minimum: 0 },
+      createdAt: { type: 'number' },
+      date: { type: 'string', minLength: 10, maxLength: 10 },
+      settings: { type: 'object' },
+      documents: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id'],
+          properties: {
+            id: { type: 'string', minLength: 1 },
+            title: { type: 'string' },
+            url: { type: 'string' },
+            content: { type: 'string' },
+            timestamp: { type: 'number' }
+          }
+        }
+      },
+      connections: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['from', 'to'],
+          properties: {
+            from: { type: 'string', minLength: 1 },
+            to: { type: 'string', minLength: 1 },
+            strength: { type: 'number', minimum: 0, maximum: 1 },
+            reason: { type: 'string' },
+            timestamp: { type: 'number' }
+          }
+        }
+      },
+      // Map entries as [key, value] pairs, the way they're kept in chrome.storage
+      pinnedConnections: { type: 'array', items: { type: 'array', minItems: 2, maxItems: 2 } },
+      notes: { type: 'array', items: { type: 'array', minItems: 2, maxItems: 2, items: { type: 'string' } } },
+      feedback: { type: 'array', items: { type: 'array', minItems: 2, maxItems: 2 } },
+      archives: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['date', 'documents', 'connections'],
+          properties: {
+            date: { type: 'string', minLength: 10, maxLength: 10 },
+            documents: { type: 'array', items: { type: 'object', required: ['id'] } },
+            connections: { type: 'array', items: { type: 'object', required: ['id', 'from', 'to'] } }
+          }
+        }
+      }
+    }
+  },
+
+  toBase64(bytes) {
+    let binary = '';
+    // fromCharCode takes arguments, so large buffers go in slices
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  },
+
+  fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  },
+
+  async deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  },
+
+  // Authenticated with the ciphertext, so a file whose parameters were edited fails to decrypt
+  additionalData(envelope) {
+    return new TextEncoder().encode([envelope.format, envelope.version, envelope.kdf.iterations, envelope.kdf.salt, envelope.cipher.iv].join('|'));
+  },
+
+  async encrypt(payload, passphrase) {
+    if (String(passphrase || '').length < this.MIN_PASSPHRASE_LENGTH) {
+      throw new Error(`Use a passphrase of at least ${this.MIN_PASSPHRASE_LENGTH} characters`);
+    }
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const envelope = {
+      format: this.FORMAT,
+      version: this.VERSION,
+      createdAt: new Date(payload.createdAt).toISOString(),
+      kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: this.KDF_ITERATIONS, salt: this.toBase64(salt) },
+      cipher: { name: 'AES-GCM', iv: this.toBase64(iv) }
+    };
+    const key = await this.deriveKey(passphrase, salt, this.KDF_ITERATIONS);
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: this.additionalData(envelope) },
+      key,
+      new TextEncoder().encode(JSON.stringify(payload))
+    );
+    return { ...envelope, data: this.toBase64(new Uint8Array(ciphertext)) };
+  },
+
+  // Returns { envelope } or { errors } for text that isn't a backup this version can read
+  parseEnvelope(text) {
+    let envelope;
+    try {
+      envelope = JSON.parse(text);
+    } catch (error) {
+      return { errors: ['The file is not a Weaves backup'] };
+    }
+    const errors = WeavesResponseParser.validate(envelope, this.ENVELOPE_SCHEMA, 'backup');
+    if (errors.length > 0) {
+      return { errors: envelope?.format === this.FORMAT ? errors : ['The file is not a Weaves backup'] };
+    }
+    if (envelope.version > this.VERSION) {
+      return { errors: ['The backup was made by a newer version of Weaves'] };
+    }
+    return { envelope };
+  },
+
+  // GCM can't tell a wrong passphrase from a damaged file, so both fail the same way
+  async decrypt(envelope, passphrase) {
+    let plaintext;
+    try {
+      const key = await this.deriveKey(passphrase, this.fromBase64(envelope.kdf.salt), envelope.kdf.iterations);
+      plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: this.fromBase64(envelope.cipher.iv), additionalData: this.additionalData(envelope) },
+        key,
+        this.fromBase64(envelope.data)
+      );
+    } catch (error) {
+      throw new Error('Wrong passphrase, or the backup is damaged');
+    }
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  },
+
+  // Errors that make the decrypted contents unsafe to restore; empty when it's fine
+  validatePayload(payload, currentSchemaVersion) {
+    const errors = WeavesResponseParser.validate(payload, this.PAYLOAD_SCHEMA, 'backup');
+    if (errors.length > 0) return errors;
+
+    const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (payload.schemaVersion > currentSchemaVersion) {
+      errors.push('The backup was made by a newer version of Weaves');
+    }
+    if (!isDate(payload.date)) errors.push('backup.date is not a YYYY-MM-DD date');
+    payload.archives.forEach((archive, i) => {
+      if (!isDate(archive.date)) errors.push(`backup.archives[${i}].date is not a YYYY-MM-DD date`);
+    });
+    payload.pinnedConnections.forEach(([id, connection], i) => {
+      if (typeof id !== 'string' || !isObject(connection) || typeof connection.from !== 'string' || typeof connection.to !== 'string') {
+        errors.push(`backup.pinnedConnections[${i}] is not a pinned connection`);
+      }
+    });
+    payload.feedback.forEach(([id, vote], i) => {
+      if (typeof id !== 'string' || !isObject(vote)) errors.push(`backup.feedback[${i}] is not a feedback record`);
+    });
+    return errors;
+  },
+
+  // The backup's settings that this version knows and whose values have the shape of their default;
+  // anything else stays at the default rather than reaching code that expects that shape
+  restorableSettings(settings, defaults) {
+    const kind = value => value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+    const isProject = project => kind(project) === 'object' && typeof project.id === 'string' && project.id.length > 0 &&
+      typeof project.name === 'string' && (project.lens == null || typeof project.lens === 'string');
+    const fits = (key, value) => {
+      const expected = defaults[key];
+      if (key === 'projects') return Array.isArray(value) && value.every(isProject);
+      // null defaults are optional strings, like activeProjectId
+      if (expected === null) return value === null || typeof value === 'string';
+      if (kind(value) !== kind(expected)) return false;
+      if (key === 'mockResponses') return true;
+      if (Array.isArray(expected)) return value.every(item => typeof item === 'string');
+      if (kind(expected) === 'object') return Object.keys(expected).every(field => kind(value[field]) === kind(expected[field]));
+      return typeof value !== 'number' || Number.isFinite(value);
+    };
+
+    const restorable = {};
+    const skipped = [];
+    Object.entries(settings).forEach(([key, value]) => {
+      if (!(key in defaults)) return;
+      if (fits(key, value)) restorable[key] = value;
+      else skipped.push(key);
+    });
+    return { settings: restorable, skipped };
+  },
+
+  // What restoring would change. current has the same lists as a payload; ids reads an item's key
+  preview(payload, current, ids) {
+    const kinds = {
+      documents: doc => doc.id,
+      connections: ids.connection,
+      pinnedConnections: ([id]) => id,
+      notes: ([id]) => id,
+      archives: archive => archive.date,
+      feedback: ([id]) => id
+    };
+    const counts = {};
+    Object.entries(kinds).forEach(([kind, keyOf]) => {
+      const existing = new Set(current[kind].map(keyOf));
+      const incoming = payload[kind].map(keyOf);
+      counts[kind] = {
+        inBackup: incoming.length,
+        onDevice: existing.size,
+        // Merge adds these; where both have an item, the copy on this device is kept
+        added: incoming.filter(key => !existing.has(key)).length
+      };
+    });
+
+    return {
+      createdAt: payload.createdAt,
+      date: payload.date,
+      schemaVersion: payload.schemaVersion,
+      // A backup of an earlier day restores that day as an archive
+      sameDay: payload.date === current.date,
+      settings: Object.keys(payload.settings).length,
+      counts
+    };
+  }
+};
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WeavesBackup;
+} else if (typeof self !== 'undefined') {
+  self.WeavesBackup = WeavesBackup;
+}
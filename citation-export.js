@@ -0,0 +1,250 @@
+// Weaves Citation Export - Bibliographic records for captured pages as BibTeX, CSL-JSON and RIS,
+// annotated with the connections that link them
+const WeavesCitationExport = {
+  FORMATS: {
+    bibtex: { label: 'BibTeX', extension: 'bib', mimeType: 'application/x-bibtex' },
+    csl: { label: 'CSL-JSON', extension: 'json', mimeType: 'application/vnd.citationstyles.csl+json' },
+    ris: { label: 'RIS', extension: 'ris', mimeType: 'application/x-research-info-systems' }
+  },
+
+  // CSL item types, which citations are stored as, and their BibTeX and RIS equivalents
+  TYPES: {
+    'article-journal': { bibtex: 'article', ris: 'JOUR' },
+    'article-newspaper': { bibtex: 'article', ris: 'NEWS' },
+    'article': { bibtex: 'article', ris: 'GEN' },
+    'paper-conference': { bibtex: 'inproceedings', ris: 'CONF' },
+    'chapter': { bibtex: 'incollection', ris: 'CHAP' },
+    'book': { bibtex: 'book', ris: 'BOOK' },
+    'report': { bibtex: 'techreport', ris: 'RPRT' },
+    'thesis': { bibtex: 'phdthesis', ris: 'THES' },
+    'manuscript': { bibtex: 'misc', ris: 'UNPB' },
+    'post-weblog': { bibtex: 'misc', ris: 'BLOG' },
+    'webpage': { bibtex: 'misc', ris: 'ELEC' }
+  },
+
+  STRING_FIELDS: ['title', 'containerTitle', 'volume', 'issue', 'firstPage', 'lastPage', 'publisher', 'institution', 'isbn', 'issn', 'arxivId'],
+  MAX_FIELD_LENGTH: 500,
+  MAX_AUTHORS: 100,
+
+  list() {
+    return Object.entries(this.FORMATS).map(([id, format]) => ({ id, ...format }));
+  },
+
+  // Citations come from page markup, so only known fields survive, trimmed to sane lengths
+  normalize(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const text = value => typeof value === 'string' || typeof value === 'number'
+      ? String(value).replace(/\s+/g, ' ').trim().substring(0, this.MAX_FIELD_LENGTH)
+      : '';
+    const citation = { type: this.TYPES[raw.type] ? raw.type : 'webpage' };
+    this.STRING_FIELDS.forEach(field => {
+      const value = text(raw[field]);
+      if (value) citation[field] = value;
+    });
+
+    const authors = (Array.isArray(raw.authors) ? raw.authors : []).map(text).filter(Boolean);
+    if (authors.length > 0) citation.authors = [...new Set(authors)].slice(0, this.MAX_AUTHORS);
+
+    const doi = text(raw.doi).match(/\b10\.\d{4,9}\/\S+/);
+    if (doi) citation.doi = doi[0].replace(/[.,;]+$/, '');
+
+    const date = this.parseDate(text(raw.date));
+    if (date) citation.date = date.map((n, i) => i === 0 ? String(n) : String(n).padStart(2, '0')).join('-');
+
+    return citation;
+  },
+
+  // "2020", "2020/05", "2020-05-12T10:00:00Z" and the like -> [year, month?, day?]
+  parseDate(value) {
+    const match = String(value || '').match(/^(\d{4})(?:[-/](\d{1,2}))?(?:[-/](\d{1,2}))?/);
+    if (!match) return null;
+    return match.slice(1).filter(Boolean).map(Number);
+  },
+
+  // "Lovelace, Ada" and "Ada Lovelace" both split; single words (often organisations) stay literal
+  parseName(name) {
+    if (name.includes(',')) {
+      const [family, ...given] = name.split(',');
+      return { family: family.trim(), given: given.join(',').trim() };
+    }
+    const parts = name.split(' ');
+    if (parts.length === 1) return { literal: name };
+    return { family: parts.pop(), given: parts.join(' ') };
+  },
+
+  // Pages without captured metadata are still citable as web pages
+  fromDocument(doc) {
+    const citation = doc.citation || {};
+    return {
+      ...citation,
+      type: citation.type || 'webpage',
+      title: citation.title || doc.title || 'Untitled',
+      containerTitle: citation.containerTitle || (citation.type ? '' : doc.domain || ''),
+      url: doc.url || '',
+      accessed: this.parseDate(new Date(doc.firstSeen || doc.timestamp || Date.now()).toISOString())
+    };
+  },
+
+  // One line per connection touching doc, e.g. "Supports “Other page” (80%): both measure..."
+  notesFor(doc, connections, titles) {
+    return connections
+      .filter(conn => conn.from === doc.id || conn.to === doc.id)
+      .sort((a, b) => b.strength - a.strength)
+      .map(conn => {
+        const outgoing = conn.from === doc.id;
+        const other = titles.get(outgoing ? conn.to : conn.from) || (outgoing ? conn.toTitle : conn.fromTitle) || 'Untitled';
+        const verb = WeavesConnectionTypes.verb(conn.type);
+        const relation = outgoing ? `This ${verb} “${other}”` : `“${other}” ${verb} this`;
+        const reason = String(conn.reason || '').replace(/\s+/g, ' ').trim();
+        return `${relation} (${Math.round((conn.strength || 0) * 100)}%)${reason ? ': ' + reason : ''}`;
+      });
+  },
+
+  // First author's family name + year + first title word, made unique with a, b, c...
+  assignKeys(entries) {
+    const used = new Map();
+    const ascii = value => String(value || '').normalize('NFKD').replace(/[^A-Za-z0-9]/g, '');
+    entries.forEach(entry => {
+      const author = entry.authors?.[0] ? this.parseName(entry.authors[0]) : null;
+      const titleWord = (entry.title.split(/\s+/).find(word => ascii(word).length > 3) || entry.title.split(/\s+/)[0]);
+      const base = [
+        ascii(author ? author.family || author.literal : entry.containerTitle || 'weaves').toLowerCase(),
+        entry.date ? entry.date.substring(0, 4) : '',
+        ascii(titleWord).toLowerCase()
+      ].join('') || 'weaves';
+      const count = used.get(base) || 0;
+      used.set(base, count + 1);
+      entry.key = count === 0 ? base : base + String.fromCharCode(96 + Math.min(count, 26));
+    });
+    return entries;
+  },
+
+  escapeBibTeX(value) {
+    return String(value)
+      .replace(/\\/g, '\\textbackslash{}')
+      .replace(/([{}&%$#_])/g, '\\$1')
+      .replace(/~/g, '\\textasciitilde{}')
+      .replace(/\^/g, '\\textasciicircum{}');
+  },
+
+  toBibTeX(entries) {
+    const b = value => this.escapeBibTeX(value);
+    return entries.map(entry => {
+      const container = entry.type === 'paper-conference' || entry.type === 'chapter' ? 'booktitle' : 'journal';
+      const date = this.parseDate(entry.date);
+      const fields = [
+        ['author', entry.authors && entry.authors.map(name => {
+          const parsed = this.parseName(name);
+          // Braces keep an organisation's name from being split into family and given
+          return parsed.literal ? `{${b(parsed.literal)}}` : b(parsed.given ? `${parsed.family}, ${parsed.given}` : parsed.family);
+        }).join(' and ')],
+        // Double braces preserve the title's capitalisation
+        ['title', `{${b(entry.title)}}`],
+        [entry.type === 'webpage' || entry.type === 'post-weblog' ? 'howpublished' : container, entry.containerTitle && b(entry.containerTitle)],
+        ['year', date && String(date[0])],
+        ['date', entry.date],
+        ['volume', entry.volume && b(entry.volume)],
+        ['number', entry.issue && b(entry.issue)],
+        ['pages', entry.firstPage && b(entry.lastPage ? `${entry.firstPage}--${entry.lastPage}` : entry.firstPage)],
+        [entry.type === 'thesis' ? 'school' : 'institution', entry.institution && b(entry.institution)],
+        ['publisher', entry.publisher && b(entry.publisher)],
+        ['doi', entry.doi && b(entry.doi)],
+        ['isbn', entry.isbn && b(entry.isbn)],
+        ['issn', entry.issn && b(entry.issn)],
+        ['eprint', entry.arxivId && b(entry.arxivId)],
+        ['archiveprefix', entry.arxivId && 'arXiv'],
+        ['url', entry.url],
+        ['urldate', entry.accessed.map(n => String(n).padStart(2, '0')).join('-')],
+        ['annote', entry.notes.length > 0 && b(entry.notes.join('\n'))]
+      ].filter(([, value]) => value);
+
+      return `@${this.TYPES[entry.type].bibtex}{${entry.key},\n${fields.map(([name, value]) => `  ${name} = {${value}}`).join(',\n')}\n}\n`;
+    }).join('\n');
+  },
+
+  toCSL(entries) {
+    const items = entries.map(entry => {
+      const date = this.parseDate(entry.date);
+      const item = {
+        id: entry.key,
+        type: entry.type,
+        title: entry.title,
+        author: entry.authors && entry.authors.map(name => this.parseName(name)),
+        issued: date && { 'date-parts': [date] },
+        accessed: { 'date-parts': [entry.accessed] },
+        'container-title': entry.containerTitle,
+        volume: entry.volume,
+        issue: entry.issue,
+        page: entry.firstPage && (entry.lastPage ? `${entry.firstPage}-${entry.lastPage}` : entry.firstPage),
+        publisher: entry.publisher || entry.institution,
+        DOI: entry.doi,
+        ISBN: entry.isbn,
+        ISSN: entry.issn,
+        number: entry.arxivId && 'arXiv:' + entry.arxivId,
+        URL: entry.url,
+        note: entry.notes.join('\n')
+      };
+      return Object.fromEntries(Object.entries(item).filter(([, value]) => value));
+    });
+    return JSON.stringify(items, null, 2) + '\n';
+  },
+
+  // RIS is line based, so each connection becomes its own N1 note
+  toRIS(entries) {
+    return entries.map(entry => {
+      const date = this.parseDate(entry.date);
+      const pad = n => String(n).padStart(2, '0');
+      const lines = [
+        ['TY', this.TYPES[entry.type].ris],
+        ['TI', entry.title],
+        ...(entry.authors || []).map(name => {
+          const parsed = this.parseName(name);
+          return ['AU', parsed.literal || (parsed.given ? `${parsed.family}, ${parsed.given}` : parsed.family)];
+        }),
+        ['PY', date && String(date[0])],
+        ['DA', date && `${date[0]}/${date[1] ? pad(date[1]) : ''}/${date[2] ? pad(date[2]) : ''}/`],
+        ['T2', entry.containerTitle],
+        ['VL', entry.volume],
+        ['IS', entry.issue],
+        ['SP', entry.firstPage],
+        ['EP', entry.lastPage],
+        ['PB', entry.publisher || entry.institution],
+        ['DO', entry.doi],
+        ['SN', entry.isbn || entry.issn],
+        ['UR', entry.url],
+        ['Y2', entry.accessed.map(pad).join('/')],
+        ...entry.notes.map(note => ['N1', note]),
+        ['ER', '']
+      ].filter(([tag, value]) => value || tag === 'ER');
+      return lines.map(([tag, value]) => `${tag}  - ${value}`.trimEnd()).join('\r\n') + '\r\n';
+    }).join('\r\n');
+  },
+
+  // Returns { content, mimeType, extension }
+  build(format, documents, connections) {
+    const writers = { bibtex: 'toBibTeX', csl: 'toCSL', ris: 'toRIS' };
+    if (!writers[format]) {
+      throw new Error('Unknown citation format: ' + format);
+    }
+
+    const titles = new Map(documents.map(doc => [doc.id, doc.citation?.title || doc.title]));
+    const entries = this.assignKeys(documents.map(doc => ({
+      ...this.fromDocument(doc),
+      notes: this.notesFor(doc, connections, titles)
+    })));
+
+    return {
+      content: this[writers[format]](entries),
+      mimeType: this.FORMATS[format].mimeType,
+      extension: this.FORMATS[format].extension
+    };
+  }
+};
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WeavesCitationExport;
+} else if (typeof self !== 'undefined') {
+  self.WeavesCitationExport = WeavesCitationExport;
+}
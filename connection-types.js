@@ -0,0 +1,76 @@
+// Weaves Connection Types - Directional relationship taxonomy shared by background, popup and overlay
+// Each type reads "<from> <verb> <to>", so direction always runs from the source to the target document
+const WeavesConnectionTypes = {
+  TYPES: {
+    'supports': {
+      label: 'Supports',
+      verb: 'supports',
+      description: 'provides evidence or arguments in favour of the claims in',
+      color: '#4CAF50'
+    },
+    'contradicts': {
+      label: 'Contradicts',
+      verb: 'contradicts',
+      description: 'presents evidence or arguments against the claims in',
+      color: '#FF5252'
+    },
+    'extends': {
+      label: 'Extends',
+      verb: 'extends',
+      description: 'builds on and goes further than the ideas in',
+      color: '#4FACFE'
+    },
+    'applies-method-of': {
+      label: 'Applies Method',
+      verb: 'applies the method of',
+      description: 'uses a technique, framework or methodology described in',
+      color: '#FFB300'
+    },
+    'example-of': {
+      label: 'Example Of',
+      verb: 'is an example of',
+      description: 'is a concrete case or instance of the general idea in',
+      color: '#AB47BC'
+    },
+    'answers-question-in': {
+      label: 'Answers Question',
+      verb: 'answers a question raised in',
+      description: 'resolves a problem or open question raised in',
+      color: '#26C6DA'
+    }
+  },
+
+  // Direction as the model reports it, relative to the newly analysed page
+  DIRECTIONS: ['new-to-existing', 'existing-to-new'],
+
+  keys() {
+    return Object.keys(this.TYPES);
+  },
+
+  isKnown(type) {
+    return Object.prototype.hasOwnProperty.call(this.TYPES, type);
+  },
+
+  get(type) {
+    return this.isKnown(type) ? this.TYPES[type] : null;
+  },
+
+  label(type) {
+    return this.isKnown(type) ? this.TYPES[type].label : 'Unclassified';
+  },
+
+  verb(type) {
+    return this.isKnown(type) ? this.TYPES[type].verb : 'relates to';
+  },
+
+  color(type) {
+    return this.isKnown(type) ? this.TYPES[type].color : '#999999';
+  }
+};
+
+// Export for background, popup and content scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WeavesConnectionTypes;
+} else if (typeof self !== 'undefined') {
+  self.WeavesConnectionTypes = WeavesConnectionTypes;
+}
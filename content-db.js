@@ -0,0 +1,365 @@
+// Weaves Content DB - Pages, their analyses and connections in IndexedDB, written record by record,
+// plus a compact archive of each past day
+class WeavesContentDB {
+  constructor(options = {}) {
+    this.name = options.name || 'weaves';
+    this.version = 2;
+    this.STORES = { CONTENT: 'content', ANALYSES: 'analyses', CONNECTIONS: 'connections' };
+    this.ARCHIVES = 'archives';
+    this.archiveExcerptLength = 500;
+    this.db = null;
+    this.opening = null;
+    // Per store: record key -> serialized bytes of what was last written, for the storage limit
+    this.written = this.emptyWritten();
+    // Archive date -> serialized bytes, so the storage limit covers past days too
+    this.archiveBytes = new Map();
+  }
+
+  emptyWritten() {
+    return Object.fromEntries(Object.values(this.STORES).map(store => [store, new Map()]));
+  }
+
+  open() {
+    if (this.db) return Promise.resolve(this.db);
+    if (this.opening) return this.opening;
+
+    this.opening = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.name, this.version);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.STORES.CONTENT)) {
+          const content = db.createObjectStore(this.STORES.CONTENT, { keyPath: 'id' });
+          content.createIndex('timestamp', 'timestamp');
+          content.createIndex('domain', 'domain');
+          content.createIndex('canonicalUrl', 'canonicalUrl');
+        }
+        if (!db.objectStoreNames.contains(this.STORES.ANALYSES)) {
+          db.createObjectStore(this.STORES.ANALYSES, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(this.STORES.CONNECTIONS)) {
+          const connections = db.createObjectStore(this.STORES.CONNECTIONS, { keyPath: 'id' });
+          connections.createIndex('timestamp', 'timestamp');
+          connections.createIndex('from', 'from');
+          connections.createIndex('to', 'to');
+        }
+        if (!db.objectStoreNames.contains(this.ARCHIVES)) {
+          // One record per day, keyed by its YYYY-MM-DD date
+          const archives = db.createObjectStore(this.ARCHIVES, { keyPath: 'date' });
+          archives.createIndex('archivedAt', 'archivedAt');
+        }
+      };
+
+      request.onsuccess = () => {
+        this.db = request.result;
+        // Another context upgrading the database closes this connection; reopen lazily
+        this.db.onversionchange = () => {
+          this.db.close();
+          this.db = null;
+        };
+        resolve(this.db);
+      };
+      request.onerror = () => reject(request.error);
+    }).finally(() => {
+      this.opening = null;
+    });
+
+    return this.opening;
+  }
+
+  static request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  static complete(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+  }
+
+  // FNV-1a; only used to notice that a record changed, not for identity
+  static hash(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16) + ':' + text.length;
+  }
+
+  static byteSize(record) {
+    return new TextEncoder().encode(JSON.stringify(record)).length;
+  }
+
+  // Pages are stored without their analysis, which lives in its own store keyed by the page ID
+  static splitDocument(doc) {
+    const { analysis, ...content } = doc;
+    return { content, analysis: { id: doc.id, analysis: analysis || null, contentHash: doc.contentHash || null } };
+  }
+
+  async loadAll() {
+    const db = await this.open();
+    const transaction = db.transaction([...Object.values(this.STORES), this.ARCHIVES], 'readonly');
+    const [contents, analyses, connections, archives] = await Promise.all([
+      WeavesContentDB.request(transaction.objectStore(this.STORES.CONTENT).getAll()),
+      WeavesContentDB.request(transaction.objectStore(this.STORES.ANALYSES).getAll()),
+      WeavesContentDB.request(transaction.objectStore(this.STORES.CONNECTIONS).getAll()),
+      WeavesContentDB.request(transaction.objectStore(this.ARCHIVES).getAll())
+    ]);
+
+    this.written = this.emptyWritten();
+    contents.forEach(record => this.written[this.STORES.CONTENT].set(record.id, WeavesContentDB.byteSize(record)));
+    analyses.forEach(record => this.written[this.STORES.ANALYSES].set(record.id, WeavesContentDB.byteSize(record)));
+    connections.forEach(record => this.written[this.STORES.CONNECTIONS].set(record.id, WeavesContentDB.byteSize(record)));
+    this.archiveBytes = new Map(archives.map(archive => [archive.date, WeavesContentDB.byteSize(archive)]));
+
+    const analysisById = new Map(analyses.map(record => [record.id, record.analysis]));
+    const contentStore = new Map(contents
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .map(content => [content.id, { ...content, analysis: analysisById.get(content.id) || null }]));
+
+    return {
+      contentStore,
+      // The ID is the storage key; callers derive it from the endpoints themselves
+      connections: connections
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .map(({ id, ...connection }) => connection)
+    };
+  }
+
+  // Writes added records and those named in dirty, and deletes ones that are gone, in one transaction.
+  // dirty is { all, documents, connections } with sets of page and connection IDs changed in place;
+  // all rewrites everything. connectionId maps a connection to its key
+  async sync(contentStore, connections, connectionId, dirty = { all: true }) {
+    const db = await this.open();
+    const transaction = db.transaction(Object.values(this.STORES), 'readwrite');
+    const { CONTENT, ANALYSES, CONNECTIONS } = this.STORES;
+    const written = this.emptyWritten();
+    const changes = { put: 0, deleted: 0 };
+    const put = (storeName, key, record) => {
+      transaction.objectStore(storeName).put(record);
+      written[storeName].set(key, WeavesContentDB.byteSize(record));
+      changes.put++;
+    };
+    const keep = (storeName, key) => written[storeName].set(key, this.written[storeName].get(key));
+    const needsWrite = (storeName, key, ids) => dirty.all || !this.written[storeName].has(key) || ids?.has(key);
+
+    for (const doc of contentStore.values()) {
+      if (needsWrite(CONTENT, doc.id, dirty.documents)) {
+        const { content, analysis } = WeavesContentDB.splitDocument(doc);
+        put(CONTENT, doc.id, content);
+        put(ANALYSES, doc.id, analysis);
+      } else {
+        keep(CONTENT, doc.id);
+        keep(ANALYSES, doc.id);
+      }
+    }
+    connections.forEach(connection => {
+      const id = connectionId(connection);
+      if (needsWrite(CONNECTIONS, id, dirty.connections)) {
+        put(CONNECTIONS, id, { ...connection, id });
+      } else {
+        keep(CONNECTIONS, id);
+      }
+    });
+
+    Object.values(this.STORES).forEach(storeName => {
+      this.written[storeName].forEach((bytes, key) => {
+        if (!written[storeName].has(key)) {
+          transaction.objectStore(storeName).delete(key);
+          changes.deleted++;
+        }
+      });
+    });
+
+    await WeavesContentDB.complete(transaction);
+    this.written = written;
+    return changes;
+  }
+
+  async clear() {
+    const db = await this.open();
+    const transaction = db.transaction(Object.values(this.STORES), 'readwrite');
+    Object.values(this.STORES).forEach(store => transaction.objectStore(store).clear());
+    await WeavesContentDB.complete(transaction);
+    this.written = this.emptyWritten();
+  }
+
+  // Archived pages keep their analysis and an excerpt; full text and visit lists are dropped
+  compactDocument(content, analysis) {
+    return {
+      id: content.id,
+      title: content.title,
+      url: content.url,
+      canonicalUrl: content.canonicalUrl,
+      domain: content.domain,
+      platform: content.platform,
+      contentType: content.contentType,
+      projectId: content.projectId || null,
+      firstSeen: content.firstSeen,
+      timestamp: content.timestamp,
+      suspicious: content.suspicious,
+      redactions: content.redactions,
+      citation: content.citation || null,
+      content: String(content.content || '').substring(0, this.archiveExcerptLength),
+      analysis: analysis || null
+    };
+  }
+
+  // Snapshots the live stores into the day's archive and empties them in one transaction.
+  // A day archived twice (e.g. after resetTime changes) is merged, newer records winning
+  async archiveAndClear(date) {
+    const db = await this.open();
+    const storeNames = [...Object.values(this.STORES), this.ARCHIVES];
+    const transaction = db.transaction(storeNames, 'readwrite');
+    const done = WeavesContentDB.complete(transaction);
+
+    const [contents, analyses, connections, existing] = await Promise.all([
+      WeavesContentDB.request(transaction.objectStore(this.STORES.CONTENT).getAll()),
+      WeavesContentDB.request(transaction.objectStore(this.STORES.ANALYSES).getAll()),
+      WeavesContentDB.request(transaction.objectStore(this.STORES.CONNECTIONS).getAll()),
+      WeavesContentDB.request(transaction.objectStore(this.ARCHIVES).get(date))
+    ]);
+
+    let archive = null;
+    if (contents.length > 0 || connections.length > 0) {
+      const analysisById = new Map(analyses.map(record => [record.id, record.analysis]));
+      archive = this.buildArchive(date, existing, contents.map(content => ({ ...content, analysis: analysisById.get(content.id) })), connections);
+      transaction.objectStore(this.ARCHIVES).put(archive);
+    }
+
+    Object.values(this.STORES).forEach(store => transaction.objectStore(store).clear());
+    await done;
+    this.written = this.emptyWritten();
+    if (archive) this.archiveBytes.set(date, WeavesContentDB.byteSize(archive));
+    return archive;
+  }
+
+  // A day's archive from full documents and keyed connections, merged over an existing archive of that day
+  buildArchive(date, existing, documents, connections) {
+    const archivedDocuments = new Map((existing?.documents || []).map(doc => [doc.id, doc]));
+    documents.forEach(doc => archivedDocuments.set(doc.id, this.compactDocument(doc, doc.analysis)));
+
+    const archivedConnections = new Map((existing?.connections || []).map(conn => [conn.id, conn]));
+    connections.forEach(({ history, ...connection }) => {
+      archivedConnections.set(connection.id, { ...connection, observations: (history || []).length || 1 });
+    });
+
+    return {
+      date,
+      archivedAt: Date.now(),
+      documents: Array.from(archivedDocuments.values()),
+      connections: Array.from(archivedConnections.values())
+    };
+  }
+
+  // Writes archives from a backup. Without replace, days already archived here keep their records
+  // and only gain the pages and connections they're missing
+  async restoreArchives(archives, { replace = false } = {}) {
+    const db = await this.open();
+    const transaction = db.transaction(this.ARCHIVES, 'readwrite');
+    const done = WeavesContentDB.complete(transaction);
+    const store = transaction.objectStore(this.ARCHIVES);
+
+    const sizes = new Map(replace ? [] : this.archiveBytes);
+    const put = archive => {
+      store.put(archive);
+      sizes.set(archive.date, WeavesContentDB.byteSize(archive));
+    };
+
+    if (replace) {
+      store.clear();
+    }
+    for (const archive of archives) {
+      const existing = replace ? null : await WeavesContentDB.request(store.get(archive.date));
+      if (!existing) {
+        put(archive);
+        continue;
+      }
+      const merge = (incoming, current, key) => [
+        ...current,
+        ...incoming.filter(record => !current.some(own => own[key] === record[key]))
+      ];
+      put({
+        ...existing,
+        documents: merge(archive.documents, existing.documents, 'id'),
+        connections: merge(archive.connections, existing.connections, 'id')
+      });
+    }
+    await done;
+    this.archiveBytes = sizes;
+  }
+
+  async getArchive(date) {
+    const db = await this.open();
+    const transaction = db.transaction(this.ARCHIVES, 'readonly');
+    return (await WeavesContentDB.request(transaction.objectStore(this.ARCHIVES).get(date))) || null;
+  }
+
+  // Newest first
+  async getArchives() {
+    const db = await this.open();
+    const transaction = db.transaction(this.ARCHIVES, 'readonly');
+    const archives = await WeavesContentDB.request(transaction.objectStore(this.ARCHIVES).getAll());
+    return archives.sort((a, b) => b.date.localeCompare(a.date));
+  }
+
+  // Deletes archives dated before cutoffDate and returns their dates
+  async pruneArchives(cutoffDate) {
+    const db = await this.open();
+    const transaction = db.transaction(this.ARCHIVES, 'readwrite');
+    const store = transaction.objectStore(this.ARCHIVES);
+    const range = IDBKeyRange.upperBound(cutoffDate, true);
+    const dates = await WeavesContentDB.request(store.getAllKeys(range));
+    if (dates.length > 0) {
+      store.delete(range);
+    }
+    await WeavesContentDB.complete(transaction);
+    dates.forEach(date => this.archiveBytes.delete(date));
+    return dates;
+  }
+
+  // Serialized size of everything last written, archives included, in bytes
+  getStoredBytes() {
+    let bytes = this.getArchiveBytes();
+    Object.values(this.written).forEach(records => records.forEach(size => {
+      bytes += size;
+    }));
+    return bytes;
+  }
+
+  getArchiveBytes() {
+    let bytes = 0;
+    this.archiveBytes.forEach(size => {
+      bytes += size;
+    });
+    return bytes;
+  }
+
+  // Oldest first
+  getArchiveDates() {
+    return Array.from(this.archiveBytes.keys()).sort();
+  }
+
+  getStats() {
+    return {
+      bytes: this.getStoredBytes(),
+      archives: this.archiveBytes.size,
+      content: this.written[this.STORES.CONTENT].size,
+      analyses: this.written[this.STORES.ANALYSES].size,
+      connections: this.written[this.STORES.CONNECTIONS].size
+    };
+  }
+}
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WeavesContentDB;
+} else if (typeof self !== 'undefined') {
+  self.WeavesContentDB = WeavesContentDB;
+}
@@ -0,0 +1,134 @@
+// Weaves Content Index - Inverted index over the content store for ranking connection candidates
+class WeavesContentIndex {
+  constructor(options = {}) {
+    this.scorer = new WeavesLexicalEngine({ k1: options.k1, b: options.b });
+
+    this.postings = new Map(); // term -> Map(contentId -> weighted term frequency)
+    this.documents = new Map(); // contentId -> { terms, length, timestamp }
+    this.totalLength = 0;
+
+    this.FIELD_WEIGHTS = {
+      themes: 3,
+      title: 2,
+      coreMessage: 1,
+      domain: 1
+    };
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  extractTerms(content) {
+    const analysis = content.analysis || {};
+    const fields = {
+      themes: (analysis.themes || []).join(' '),
+      title: content.title,
+      coreMessage: analysis.coreMessage,
+      domain: (content.domain || '').replace(/\./g, ' ')
+    };
+
+    const terms = new Map();
+    for (const [field, text] of Object.entries(fields)) {
+      const weight = this.FIELD_WEIGHTS[field];
+      WeavesLexicalEngine.tokenize(text).forEach(term => {
+        terms.set(term, (terms.get(term) || 0) + weight);
+      });
+    }
+    return terms;
+  }
+
+  add(content) {
+    if (!content || !content.id) return;
+    if (this.documents.has(content.id)) {
+      this.remove(content.id);
+    }
+
+    const terms = this.extractTerms(content);
+    let length = 0;
+    for (const [term, weight] of terms.entries()) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(content.id, weight);
+      length += weight;
+    }
+
+    this.documents.set(content.id, {
+      terms: Array.from(terms.keys()),
+      length,
+      timestamp: content.timestamp || 0
+    });
+    this.totalLength += length;
+  }
+
+  remove(contentId) {
+    const doc = this.documents.get(contentId);
+    if (!doc) return false;
+
+    doc.terms.forEach(term => {
+      const posting = this.postings.get(term);
+      if (!posting) return;
+      posting.delete(contentId);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+      }
+    });
+
+    this.totalLength -= doc.length;
+    this.documents.delete(contentId);
+    return true;
+  }
+
+  clear() {
+    this.postings.clear();
+    this.documents.clear();
+    this.totalLength = 0;
+  }
+
+  rebuild(contents) {
+    this.clear();
+    contents.forEach(content => this.add(content));
+  }
+
+  // Ranks indexed content against a page with BM25; ties go to the more recent page
+  search(content, { limit = 12, excludeIds = [] } = {}) {
+    const exclude = new Set(excludeIds);
+    const queryTerms = this.extractTerms(content);
+    const N = this.documents.size;
+    const avgLength = N > 0 ? this.totalLength / N : 0;
+    const scores = new Map();
+
+    for (const [term, queryWeight] of queryTerms.entries()) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+
+      for (const [contentId, tf] of posting.entries()) {
+        if (exclude.has(contentId)) continue;
+
+        const score = this.scorer.termScore(tf, queryWeight, {
+          df: posting.size,
+          N,
+          length: this.documents.get(contentId).length,
+          avgLength
+        });
+        scores.set(contentId, (scores.get(contentId) || 0) + score);
+      }
+    }
+
+    return Array.from(scores.entries())
+      .map(([id, score]) => ({ id, score }))
+      .sort((a, b) => {
+        if (b.score !== a.score) return b.score - a.score;
+        return this.documents.get(b.id).timestamp - this.documents.get(a.id).timestamp;
+      })
+      .slice(0, limit);
+  }
+}
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WeavesContentIndex;
+} else if (typeof self !== 'undefined') {
+  self.WeavesContentIndex = WeavesContentIndex;
+}
@@ -22,19 +22,42 @@ class WeavesContentExtractor {
     
     // Listen for messages from popup
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-      if (message.type === 'SHOW_CONNECTIONS') {
+      if (message.type === WeavesMessageTypes.SHOW_CONNECTIONS) {
         this.showConnectionsOverlay(message.data);
-        sendResponse({success: true});
-      }
-      if (message.type === 'HIDE_CONNECTIONS') {
+      } else if (message.type === WeavesMessageTypes.SHOW_VISUALIZATION) {
+        this.showConnectionsOverlay(this.buildVisualizationData(message.connections || []));
+      } else if (message.type === WeavesMessageTypes.HIDE_CONNECTIONS) {
         this.hideConnectionsOverlay();
-        sendResponse({success: true});
+      } else if (message.type === WeavesMessageTypes.CONNECTIONS_FOUND) {
+        // Sent by the background job queue once this page has been analyzed
+        if (message.highQuality > 0) {
+          this.showConnectionNotification(message.highQuality, true);
+        } else if (message.connections > 0) {
+          this.showConnectionNotification(message.connections, false);
+        }
+      } else {
+        // Not a tab message; leave it unanswered
+        return false;
       }
-      return true;
+      sendResponse({success: true});
+      return false;
+    });
+  }
+
+  // The popup only sends connections, so the graph's nodes come from their endpoints
+  buildVisualizationData(connections) {
+    const nodes = new Map();
+    connections.forEach(c => {
+      if (!nodes.has(c.from)) nodes.set(c.from, { id: c.from, title: c.fromTitle || 'Untitled', url: c.fromUrl });
+      if (!nodes.has(c.to)) nodes.set(c.to, { id: c.to, title: c.toTitle || 'Untitled', url: c.toUrl });
     });
+    return { content: Array.from(nodes.values()), connections };
   }
 
   extractContent() {
+    // Read before the JSON-LD scripts it may come from are removed below
+    const citation = this.extractCitation();
+
     // Remove script and style elements
     const scripts = document.querySelectorAll('script, style, noscript');
     scripts.forEach(el => el.remove());
@@ -42,6 +65,8 @@ class WeavesContentExtractor {
     let content = '';
     let title = document.title || '';
     const url = window.location.href;
+    const canonicalLink = document.querySelector('link[rel~="canonical"]');
+    const canonicalUrl = canonicalLink ? canonicalLink.href : '';
     const domain = window.location.hostname;
 
     // Detect content type and extract accordingly
@@ -92,9 +117,11 @@ class WeavesContentExtractor {
       title: title.substring(0, 200),
       content: content,
       url: url,
+      canonicalUrl: canonicalUrl,
       domain: domain,
       contentType: contentType.type,
-      platform: contentType.platform
+      platform: contentType.platform,
+      citation: citation
     };
   }
 
@@ -338,6 +365,92 @@ class WeavesContentExtractor {
     return context;
   }
 
+  // Bibliographic metadata for citation export. Highwire citation_* tags (what Google Scholar reads) and
+  // Dublin Core win over schema.org JSON-LD; pages with nothing beyond a title return null
+  extractCitation() {
+    const metaValues = name => Array.from(document.querySelectorAll(`meta[name="${name}" i], meta[property="${name}" i]`))
+      .map(el => (el.getAttribute('content') || '').trim())
+      .filter(Boolean);
+    const meta = (...names) => names.map(name => metaValues(name)[0]).find(Boolean) || '';
+
+    const highwireAuthors = metaValues('citation_author');
+    const fromMeta = {
+      title: meta('citation_title', 'dc.title'),
+      authors: highwireAuthors.length > 0 ? highwireAuthors : metaValues('dc.creator'),
+      date: meta('citation_publication_date', 'citation_date', 'citation_online_date', 'dc.date', 'article:published_time'),
+      containerTitle: meta('citation_journal_title', 'citation_conference_title', 'citation_book_title', 'citation_inbook_title'),
+      volume: meta('citation_volume', 'prism.volume'),
+      issue: meta('citation_issue', 'prism.number'),
+      firstPage: meta('citation_firstpage', 'prism.startingpage'),
+      lastPage: meta('citation_lastpage', 'prism.endingpage'),
+      doi: meta('citation_doi', 'prism.doi', 'dc.identifier'),
+      publisher: meta('citation_publisher', 'dc.publisher'),
+      institution: meta('citation_dissertation_institution', 'citation_technical_report_institution'),
+      isbn: meta('citation_isbn'),
+      issn: meta('citation_issn', 'prism.issn'),
+      arxivId: meta('citation_arxiv_id')
+    };
+
+    if (meta('citation_conference_title')) fromMeta.type = 'paper-conference';
+    else if (meta('citation_journal_title')) fromMeta.type = 'article-journal';
+    else if (meta('citation_dissertation_institution')) fromMeta.type = 'thesis';
+    else if (meta('citation_technical_report_institution')) fromMeta.type = 'report';
+    else if (meta('citation_book_title', 'citation_inbook_title')) fromMeta.type = 'chapter';
+    else if (fromMeta.isbn) fromMeta.type = 'book';
+    else if (fromMeta.arxivId) fromMeta.type = 'manuscript';
+
+    const citation = { ...this.extractJsonLdCitation() };
+    Object.entries(fromMeta).forEach(([key, value]) => {
+      if (Array.isArray(value) ? value.length > 0 : value) citation[key] = value;
+    });
+
+    const hasMetadata = (citation.authors || []).length > 0 ||
+      ['date', 'doi', 'containerTitle', 'isbn', 'arxivId'].some(key => citation[key]);
+    return hasMetadata ? citation : null;
+  }
+
+  extractJsonLdCitation() {
+    const TYPES = {
+      ScholarlyArticle: 'article-journal',
+      MedicalScholarlyArticle: 'article-journal',
+      NewsArticle: 'article-newspaper',
+      BlogPosting: 'post-weblog',
+      Report: 'report',
+      Thesis: 'thesis',
+      Book: 'book',
+      Chapter: 'chapter',
+      Article: 'article'
+    };
+    const name = value => typeof value === 'string' ? value : value?.name || '';
+
+    for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+      let data;
+      try {
+        data = JSON.parse(script.textContent);
+      } catch (error) {
+        continue;
+      }
+
+      const items = [].concat(data).flatMap(item => item && item['@graph'] ? item['@graph'] : [item]);
+      const item = items.find(candidate => candidate && [].concat(candidate['@type']).some(type => TYPES[type]));
+      if (!item) continue;
+
+      const type = [].concat(item['@type']).find(t => TYPES[t]);
+      const identifiers = [].concat(item.identifier || []).map(id => typeof id === 'string' ? id : id?.value || '');
+      return {
+        type: TYPES[type],
+        title: name(item.headline) || name(item.name),
+        authors: [].concat(item.author || []).map(name).filter(Boolean),
+        date: item.datePublished || '',
+        containerTitle: name(item.isPartOf),
+        publisher: name(item.publisher),
+        isbn: item.isbn || '',
+        doi: item.doi || identifiers.find(id => /\b10\.\d{4,9}\//.test(id)) || ''
+      };
+    }
+    return {};
+  }
+
   extractTextFromElement(element) {
     // Skip elements that are likely not content
     const skipSelectors = [
@@ -379,6 +492,11 @@ class WeavesContentExtractor {
 
   async extractAndSend() {
     try {
+      // Nothing is read from the page until the privacy policy allows this site
+      if (chrome.extension.inIncognitoContext) return;
+      const policy = await chrome.runtime.sendMessage({type: WeavesMessageTypes.CHECK_CAPTURE_POLICY, url: window.location.href});
+      if (!policy || !policy.allowed) return;
+
       const extracted = this.extractContent();
       
       // Only send if content has changed significantly or is substantial
@@ -387,20 +505,21 @@ class WeavesContentExtractor {
       if (this.contentSimilarity(extracted.content, this.lastContent) < 0.8) {
         this.lastContent = extracted.content;
         
+        // Results arrive later as a CONNECTIONS_FOUND message
         const response = await chrome.runtime.sendMessage({
-          type: 'CONTENT_UPDATE',
+          type: WeavesMessageTypes.CONTENT_UPDATE,
           title: extracted.title,
           content: extracted.content,
           url: extracted.url,
+          canonicalUrl: extracted.canonicalUrl,
           domain: extracted.domain,
           platform: extracted.platform,
-          contentType: extracted.contentType
+          contentType: extracted.contentType,
+          ...(extracted.citation ? {citation: extracted.citation} : {})
         });
         
-        if (response && response.highQuality > 0) {
-          this.showConnectionNotification(response.highQuality, true);
-        } else if (response && response.connections > 0) {
-          this.showConnectionNotification(response.connections, false);
+        if (response && !response.success && !response.skipped) {
+          console.warn('Weaves: Content was not queued:', response.error);
         }
       }
     } catch (error) {
@@ -525,7 +644,7 @@ class WeavesContentExtractor {
     // Click to open popup (try to focus extension)
     notification.addEventListener('click', async () => {
       try {
-        await chrome.runtime.sendMessage({type: 'OPEN_POPUP'});
+        await chrome.runtime.sendMessage({type: WeavesMessageTypes.OPEN_POPUP});
       } catch (e) {
         // Fallback - just remove notification
         console.log('Click detected - open Weaves extension to see insights');
@@ -583,6 +702,12 @@ class WeavesContentExtractor {
   }
 
   createOverlayHTML(data) {
+    // Relationship types travel into the iframe with the data, plus a bucket for older untyped connections
+    const types = {
+      ...WeavesConnectionTypes.TYPES,
+      unclassified: { label: 'Unclassified', verb: 'relates to', color: WeavesConnectionTypes.color(null) }
+    };
+
     return `
       <!DOCTYPE html>
       <html>
@@ -615,7 +740,24 @@ class WeavesContentExtractor {
             height: calc(100vh - 40px); 
           }
           .node { cursor: pointer; }
-          .link { stroke: #999; stroke-opacity: 0.6; }
+          .link { stroke-opacity: 0.7; }
+          .legend {
+            position: absolute;
+            top: 20px;
+            left: 20px;
+            background: rgba(0,0,0,0.6);
+            border: 1px solid #444;
+            border-radius: 4px;
+            padding: 8px 12px;
+            font-size: 12px;
+          }
+          .legend label { display: block; margin: 4px 0; cursor: pointer; }
+          .legend-swatch {
+            display: inline-block;
+            width: 14px;
+            height: 3px;
+            margin: 0 6px 3px 2px;
+          }
           .tooltip {
             position: absolute;
             padding: 8px;
@@ -629,11 +771,15 @@ class WeavesContentExtractor {
       </head>
       <body>
         <button class="close-btn" onclick="parent.postMessage('close-overlay', '*')">✕ Close</button>
+        <div class="legend" id="legend"></div>
         <div id="visualization"></div>
         <div class="tooltip" id="tooltip"></div>
         
         <script>
           const data = ${JSON.stringify(data)};
+          const TYPES = ${JSON.stringify(types)};
+          const typeKey = type => TYPES[type] && type !== 'unclassified' ? type : 'unclassified';
+          const hiddenTypes = new Set();
           
           // Create force-directed graph
           const width = window.innerWidth - 40;
@@ -662,19 +808,55 @@ class WeavesContentExtractor {
             target: c.to,
             strength: c.strength,
             reason: c.reason,
-            type: c.type
+            type: typeKey(c.type)
           }));
           
           // Color scale for categories
           const color = d3.scaleOrdinal(d3.schemeCategory10);
           
+          // One arrowhead per type so direction reads from source to target
+          svg.append("defs")
+            .selectAll("marker")
+            .data(Object.keys(TYPES))
+            .enter().append("marker")
+            .attr("id", d => "arrow-" + d)
+            .attr("viewBox", "0 -5 10 10")
+            .attr("refX", 18)
+            .attr("markerWidth", 6)
+            .attr("markerHeight", 6)
+            .attr("orient", "auto")
+            .append("path")
+            .attr("d", "M0,-5L10,0L0,5")
+            .attr("fill", d => TYPES[d].color);
+
           // Create links
           const link = svg.append("g")
             .selectAll("line")
             .data(links)
             .enter().append("line")
             .attr("class", "link")
+            .attr("stroke", d => TYPES[d.type].color)
+            .attr("marker-end", d => "url(#arrow-" + d.type + ")")
             .attr("stroke-width", d => Math.sqrt(d.strength * 5));
+
+          // Legend doubles as the type filter
+          const presentTypes = Object.keys(TYPES).filter(key => links.some(l => l.type === key));
+          const legend = d3.select("#legend");
+          presentTypes.forEach(key => {
+            const row = legend.append("label");
+            row.append("input")
+              .attr("type", "checkbox")
+              .property("checked", true)
+              .on("change", function() {
+                if (this.checked) hiddenTypes.delete(key); else hiddenTypes.add(key);
+                link.style("display", d => hiddenTypes.has(d.type) ? "none" : null);
+              });
+            row.append("span")
+              .attr("class", "legend-swatch")
+              .style("background", TYPES[key].color);
+            row.append("span").text(TYPES[key].label + " (" + links.filter(l => l.type === key).length + ")");
+          });
+          if (presentTypes.length === 0) legend.style("display", "none");
             
           // Create nodes
           const node = svg.append("g")
@@ -752,6 +934,16 @@ class WeavesContentExtractor {
           .on("mouseout", function(d) {
             tooltip.transition().duration(500).style("opacity", 0);
           });
+
+          link.on("mouseover", function(event, d) {
+            tooltip.transition().duration(200).style("opacity", .9);
+            tooltip.text(d.source.title + " → " + TYPES[d.type].verb + " → " + d.target.title)
+              .style("left", (event.pageX + 10) + "px")
+              .style("top", (event.pageY - 28) + "px");
+          })
+          .on("mouseout", function(d) {
+            tooltip.transition().duration(500).style("opacity", 0);
+          });
           
           // Handle messages from parent
           window.addEventListener('message', function(event) {
@@ -0,0 +1,163 @@
+// Weaves Feedback Store - Useful / not useful votes on connections and the calibration learned from them
+class WeavesFeedbackStore {
+  constructor(options = {}) {
+    this.STORAGE_KEY = 'connectionFeedback';
+    this.maxAdjustment = options.maxAdjustment || 0.15; // Largest shift applied to a strength threshold
+    this.maxReasonTerms = 12;
+
+    // How much each signal contributes to a connection's calibration
+    this.WEIGHTS = {
+      domainPair: 0.4,
+      type: 0.2,
+      lens: 0.1,
+      reasonTerms: 0.3
+    };
+
+    this.votes = new Map(); // connectionId -> feedback record
+  }
+
+  async load() {
+    try {
+      const result = await chrome.storage.local.get([this.STORAGE_KEY]);
+      this.votes = new Map(result[this.STORAGE_KEY] || []);
+      console.log('Loaded feedback for ' + this.votes.size + ' connections');
+    } catch (error) {
+      console.warn('Failed to load connection feedback:', error);
+    }
+  }
+
+  async persist() {
+    try {
+      await chrome.storage.local.set({
+        [this.STORAGE_KEY]: Array.from(this.votes.entries())
+      });
+    } catch (error) {
+      console.error('Failed to persist connection feedback:', error);
+    }
+  }
+
+  static domainOf(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch (error) {
+      return 'unknown';
+    }
+  }
+
+  // Order-free so A→B and B→A share a pair
+  static domainPair(domainA, domainB) {
+    return [domainA || 'unknown', domainB || 'unknown'].sort().join(' ↔ ');
+  }
+
+  // What a vote is remembered by; the same features are derived for new candidates
+  describe(connection) {
+    const fromDomain = WeavesFeedbackStore.domainOf(connection.fromUrl);
+    const toDomain = WeavesFeedbackStore.domainOf(connection.toUrl);
+    return {
+      domainPair: WeavesFeedbackStore.domainPair(fromDomain, toDomain),
+      type: connection.type || 'unclassified',
+      lens: connection.lens || 'unknown',
+      reasonTerms: Array.from(new Set(WeavesLexicalEngine.tokenize(connection.reason))).slice(0, this.maxReasonTerms)
+    };
+  }
+
+  async record(connectionId, vote, connection) {
+    if (vote === null) {
+      this.votes.delete(connectionId);
+    } else {
+      this.votes.set(connectionId, {
+        vote: vote,
+        ...this.describe(connection),
+        timestamp: Date.now()
+      });
+    }
+    await this.persist();
+    return this.votes.get(connectionId) || null;
+  }
+
+  getVote(connectionId) {
+    return this.votes.get(connectionId)?.vote || null;
+  }
+
+  // Up/down tallies per value of every feature
+  tally() {
+    const tallies = { domainPair: new Map(), type: new Map(), lens: new Map(), reasonTerms: new Map() };
+    const bump = (map, key, vote) => {
+      const entry = map.get(key) || { up: 0, down: 0 };
+      entry[vote]++;
+      map.set(key, entry);
+    };
+
+    for (const record of this.votes.values()) {
+      bump(tallies.domainPair, record.domainPair, record.vote);
+      bump(tallies.type, record.type, record.vote);
+      bump(tallies.lens, record.lens, record.vote);
+      (record.reasonTerms || []).forEach(term => bump(tallies.reasonTerms, term, record.vote));
+    }
+    return tallies;
+  }
+
+  // Laplace-smoothed preference in (-1, 1); a single vote only nudges it
+  static score(entry) {
+    if (!entry) return 0;
+    return (entry.up - entry.down) / (entry.up + entry.down + 2);
+  }
+
+  // Positive when similar connections were found useful, negative when they kept being rejected
+  adjustment(features, tallies = this.tally()) {
+    if (this.votes.size === 0) return 0;
+
+    const termScores = (features.reasonTerms || [])
+      .map(term => tallies.reasonTerms.get(term))
+      .filter(Boolean)
+      .map(entry => WeavesFeedbackStore.score(entry));
+    const termScore = termScores.length > 0
+      ? termScores.reduce((sum, score) => sum + score, 0) / termScores.length
+      : 0;
+
+    const combined =
+      this.WEIGHTS.domainPair * WeavesFeedbackStore.score(tallies.domainPair.get(features.domainPair)) +
+      this.WEIGHTS.type * WeavesFeedbackStore.score(tallies.type.get(features.type)) +
+      this.WEIGHTS.lens * WeavesFeedbackStore.score(tallies.lens.get(features.lens)) +
+      this.WEIGHTS.reasonTerms * termScore;
+
+    return Math.round(combined * this.maxAdjustment * 1000) / 1000;
+  }
+
+  // Candidate ranking only knows the two domains
+  domainAdjustment(domainA, domainB, tallies = this.tally()) {
+    const entry = tallies.domainPair.get(WeavesFeedbackStore.domainPair(domainA, domainB));
+    return WeavesFeedbackStore.score(entry) * this.maxAdjustment;
+  }
+
+  getStats() {
+    const tallies = this.tally();
+    const records = Array.from(this.votes.values());
+    const rank = (map, limit = 5) => Array.from(map.entries())
+      .map(([key, entry]) => ({ key, up: entry.up, down: entry.down, score: Math.round(WeavesFeedbackStore.score(entry) * 100) / 100 }))
+      .sort((a, b) => a.score - b.score || (b.up + b.down) - (a.up + a.down))
+      .slice(0, limit);
+
+    return {
+      total: records.length,
+      up: records.filter(r => r.vote === 'up').length,
+      down: records.filter(r => r.vote === 'down').length,
+      domainPairs: rank(tallies.domainPair),
+      types: rank(tallies.type),
+      lenses: rank(tallies.lens),
+      reasonTerms: rank(tallies.reasonTerms).filter(t => t.up + t.down > 1)
+    };
+  }
+
+  async reset() {
+    this.votes.clear();
+    await this.persist();
+  }
+}
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WeavesFeedbackStore;
+} else if (typeof self !== 'undefined') {
+  self.WeavesFeedbackStore = WeavesFeedbackStore;
+}
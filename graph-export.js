@@ -0,0 +1,197 @@
+// Weaves Graph Export - Writes pages as nodes and connections as edges for Gephi, Cytoscape and linked-data tools
+const WeavesGraphExport = {
+  FORMATS: {
+    graphml: { label: 'GraphML', extension: 'graphml', mimeType: 'application/xml' },
+    gexf: { label: 'GEXF', extension: 'gexf', mimeType: 'application/xml' },
+    jsonld: { label: 'JSON-LD', extension: 'jsonld', mimeType: 'application/ld+json' }
+  },
+
+  // Attribute keys, types and how each is read from a page or connection
+  NODE_ATTRIBUTES: [
+    { key: 'title', type: 'string', value: doc => doc.title || 'Untitled' },
+    { key: 'url', type: 'string', value: doc => doc.url || '' },
+    { key: 'domain', type: 'string', value: doc => doc.domain || '' },
+    { key: 'platform', type: 'string', value: doc => doc.platform || '' },
+    { key: 'contentType', type: 'string', value: doc => doc.contentType || '' },
+    // Graph tools have no list type, so themes are joined
+    { key: 'themes', type: 'string', value: doc => (doc.analysis?.themes || []).join('; ') }
+  ],
+
+  EDGE_ATTRIBUTES: [
+    { key: 'strength', type: 'double', value: conn => conn.strength || 0 },
+    { key: 'reason', type: 'string', value: conn => conn.reason || '' },
+    { key: 'relationship', type: 'string', value: conn => conn.type || 'unclassified' },
+    { key: 'pinned', type: 'boolean', value: (conn, pinned) => pinned }
+  ],
+
+  list() {
+    return Object.entries(this.FORMATS).map(([id, format]) => ({ id, ...format }));
+  },
+
+  escapeXML(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      // Control characters other than tab and newlines are invalid in XML 1.0
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+  },
+
+  toGraphML(documents, connections, context) {
+    const x = value => this.escapeXML(value);
+    const keys = [
+      ...this.NODE_ATTRIBUTES.map(a => `  <key id="${a.key}" for="node" attr.name="${a.key}" attr.type="${a.type}"/>`),
+      ...this.EDGE_ATTRIBUTES.map(a => `  <key id="e_${a.key}" for="edge" attr.name="${a.key}" attr.type="${a.type}"/>`)
+    ];
+    const nodes = documents.map(doc => [
+      `    <node id="${x(doc.id)}">`,
+      ...this.NODE_ATTRIBUTES.map(a => `      <data key="${a.key}">${x(a.value(doc))}</data>`),
+      '    </node>'
+    ].join('\n'));
+    const edges = connections.map(conn => {
+      const id = context.connectionId(conn);
+      const pinned = context.pinnedIds.has(id);
+      return [
+        `    <edge id="${x(id)}" source="${x(conn.from)}" target="${x(conn.to)}">`,
+        ...this.EDGE_ATTRIBUTES.map(a => `      <data key="e_${a.key}">${x(a.value(conn, pinned))}</data>`),
+        '    </edge>'
+      ].join('\n');
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<graphml xmlns="http://graphml.graphdrawing.org/xmlns"',
+      '  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+      '  xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+      ...keys,
+      `  <graph id="weaves" edgedefault="directed">`,
+      ...nodes,
+      ...edges,
+      '  </graph>',
+      '</graphml>',
+      ''
+    ].join('\n');
+  },
+
+  toGEXF(documents, connections, context) {
+    const x = value => this.escapeXML(value);
+    const attributes = (kind, list) => [
+      `    <attributes class="${kind}">`,
+      ...list.map((a, index) => `      <attribute id="${index}" title="${a.key}" type="${a.type}"/>`),
+      '    </attributes>'
+    ];
+    const values = (list, read) => [
+      '        <attvalues>',
+      ...list.map((a, index) => `          <attvalue for="${index}" value="${x(read(a))}"/>`),
+      '        </attvalues>'
+    ];
+    const nodes = documents.map(doc => [
+      `      <node id="${x(doc.id)}" label="${x(doc.title || 'Untitled')}">`,
+      ...values(this.NODE_ATTRIBUTES, a => a.value(doc)),
+      '      </node>'
+    ].join('\n'));
+    // weight is GEXF's own edge strength, which Gephi uses for layouts
+    const edges = connections.map(conn => {
+      const id = context.connectionId(conn);
+      const pinned = context.pinnedIds.has(id);
+      return [
+        `      <edge id="${x(id)}" source="${x(conn.from)}" target="${x(conn.to)}" weight="${conn.strength || 0}" label="${x(WeavesConnectionTypes.verb(conn.type))}">`,
+        ...values(this.EDGE_ATTRIBUTES, a => a.value(conn, pinned)),
+        '      </edge>'
+      ].join('\n');
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+      `  <meta lastmodifieddate="${new Date().toISOString().substring(0, 10)}">`,
+      '    <creator>Weaves</creator>',
+      `    <description>${x(context.label)}</description>`,
+      '  </meta>',
+      '  <graph mode="static" defaultedgetype="directed">',
+      ...attributes('node', this.NODE_ATTRIBUTES),
+      ...attributes('edge', this.EDGE_ATTRIBUTES),
+      '    <nodes>',
+      ...nodes,
+      '    </nodes>',
+      '    <edges>',
+      ...edges,
+      '    </edges>',
+      '  </graph>',
+      '</gexf>',
+      ''
+    ].join('\n');
+  },
+
+  // Pages are schema.org WebPages; schema.org has nothing for a typed, weighted link between
+  // two pages, so connections and the fields without a schema.org term use the weaves: vocabulary
+  toJSONLD(documents, connections, context) {
+    const pageId = id => 'urn:weaves:page:' + encodeURIComponent(id);
+    const pages = documents.map(doc => ({
+      '@id': pageId(doc.id),
+      '@type': 'WebPage',
+      name: doc.title || 'Untitled',
+      url: doc.url || undefined,
+      ...(doc.domain ? { isPartOf: { '@type': 'WebSite', url: 'https://' + doc.domain } } : {}),
+      keywords: doc.analysis?.themes || [],
+      ...(doc.analysis?.coreMessage ? { abstract: doc.analysis.coreMessage } : {}),
+      ...(doc.firstSeen || doc.timestamp ? { dateRead: new Date(doc.firstSeen || doc.timestamp).toISOString() } : {}),
+      platform: doc.platform || undefined,
+      contentType: doc.contentType || undefined
+    }));
+    const edges = connections.map(conn => {
+      const id = context.connectionId(conn);
+      return {
+        '@id': 'urn:weaves:connection:' + encodeURIComponent(id),
+        '@type': 'Connection',
+        source: pageId(conn.from),
+        target: pageId(conn.to),
+        strength: conn.strength || 0,
+        description: conn.reason || '',
+        relationship: conn.type || 'unclassified',
+        pinned: context.pinnedIds.has(id)
+      };
+    });
+
+    const graph = {
+      '@context': {
+        '@vocab': 'https://schema.org/',
+        weaves: 'urn:weaves:vocab:',
+        Connection: 'weaves:Connection',
+        source: { '@id': 'weaves:source', '@type': '@id' },
+        target: { '@id': 'weaves:target', '@type': '@id' },
+        strength: 'weaves:strength',
+        relationship: 'weaves:relationship',
+        pinned: 'weaves:pinned',
+        platform: 'weaves:platform',
+        contentType: 'weaves:contentType',
+        dateRead: { '@id': 'weaves:dateRead', '@type': 'DateTime' }
+      },
+      '@id': 'urn:weaves:export',
+      name: context.label,
+      '@graph': [...pages, ...edges]
+    };
+    return JSON.stringify(graph, null, 2) + '\n';
+  },
+
+  // context: { label, pinnedIds, connectionId }. Returns { content, mimeType, extension }
+  build(format, documents, connections, context) {
+    const writers = { graphml: 'toGraphML', gexf: 'toGEXF', jsonld: 'toJSONLD' };
+    if (!writers[format]) {
+      throw new Error('Unknown graph format: ' + format);
+    }
+    return {
+      content: this[writers[format]](documents, connections, context),
+      mimeType: this.FORMATS[format].mimeType,
+      extension: this.FORMATS[format].extension
+    };
+  }
+};
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WeavesGraphExport;
+} else if (typeof self !== 'undefined') {
+  self.WeavesGraphExport = WeavesGraphExport;
+}
@@ -0,0 +1,209 @@
+// Weaves Import Sources - Reads bookmarks and browsing history into lightweight documents, and fetches
+// the pages themselves when the user allows it
+const WeavesImportSources = {
+  MAX_ITEMS: 500,
+  MAX_HISTORY_RESULTS: 5000,
+  MAX_DOMAINS: 50,
+  FETCH_TIMEOUT_MS: 15000,
+  MAX_TEXT_LENGTH: 8000, // Same limit as content.js
+  MAX_FETCH_BYTES: 2 * 1024 * 1024, // Of HTML read per page; the rest is left undownloaded
+
+  // Both are optional permissions the popup requests when the user opts in
+  permissionsFor({ bookmarks = false, historyDays = 0 } = {}) {
+    return [...(bookmarks ? ['bookmarks'] : []), ...(historyDays > 0 ? ['history'] : [])];
+  },
+
+  async hasPermissions(options) {
+    const permissions = this.permissionsFor(options);
+    return permissions.length > 0 && chrome.permissions.contains({ permissions });
+  },
+
+  // Every bookmark with the path of the folder it sits in, e.g. "Bookmarks bar / Research"
+  async readBookmarks() {
+    const items = [];
+    const walk = (node, path) => {
+      if (node.url) {
+        items.push({
+          url: node.url,
+          title: node.title || '',
+          source: 'bookmarks',
+          folderId: node.parentId,
+          folderPath: path.join(' / '),
+          addedAt: node.dateAdded || null
+        });
+        return;
+      }
+      const childPath = node.title ? [...path, node.title] : path;
+      (node.children || []).forEach(child => walk(child, childPath));
+    };
+    (await chrome.bookmarks.getTree()).forEach(root => walk(root, []));
+    return items;
+  },
+
+  async readHistory(days) {
+    const results = await chrome.history.search({
+      text: '',
+      startTime: Date.now() - days * 24 * 60 * 60 * 1000,
+      maxResults: this.MAX_HISTORY_RESULTS
+    });
+    return results.map(entry => ({
+      url: entry.url,
+      title: entry.title || '',
+      source: 'history',
+      addedAt: entry.lastVisitTime || null,
+      visitCount: entry.visitCount || 0
+    }));
+  },
+
+  // Web pages only, one item per URL; a bookmark wins over the same page in history
+  async collect({ bookmarks = false, historyDays = 0 } = {}) {
+    const items = [
+      ...(bookmarks ? await this.readBookmarks() : []),
+      ...(historyDays > 0 ? await this.readHistory(historyDays) : [])
+    ];
+    const byUrl = new Map();
+    items
+      .filter(item => /^https?:/i.test(item.url))
+      .forEach(item => {
+        if (!byUrl.has(item.url)) byUrl.set(item.url, { ...item, domain: WeavesPrivacyPolicy.siteOf(item.url) });
+      });
+    return Array.from(byUrl.values());
+  },
+
+  // Folders and domains to choose from, largest first
+  summarize(items) {
+    const folders = new Map();
+    const domains = new Map();
+    items.forEach(item => {
+      if (item.source === 'bookmarks') {
+        const folder = folders.get(item.folderId) || { id: item.folderId, path: item.folderPath || 'Bookmarks', count: 0 };
+        folder.count++;
+        folders.set(item.folderId, folder);
+      }
+      domains.set(item.domain, (domains.get(item.domain) || 0) + 1);
+    });
+
+    return {
+      total: items.length,
+      folders: Array.from(folders.values()).sort((a, b) => b.count - a.count),
+      domains: Array.from(domains.entries())
+        .map(([domain, count]) => ({ domain, count }))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, this.MAX_DOMAINS)
+    };
+  },
+
+  // Chosen folders narrow the bookmarks, chosen domains narrow everything; an empty choice keeps all
+  select(items, { folderIds = [], domains = [] } = {}) {
+    return items.filter(item =>
+      (folderIds.length === 0 || item.source !== 'bookmarks' || folderIds.includes(item.folderId)) &&
+      (domains.length === 0 || domains.includes(item.domain))
+    );
+  },
+
+  // Words from the URL path often name the topic, e.g. /blog/attention-is-all-you-need
+  urlWords(url) {
+    try {
+      const { pathname } = new URL(url);
+      return decodeURIComponent(pathname)
+        .split(/[/\-_.+]+/)
+        .filter(word => /[a-z]/i.test(word) && word.length > 2 && !/^(html?|php|aspx?|index)$/i.test(word))
+        .join(' ');
+    } catch (error) {
+      return '';
+    }
+  },
+
+  // What a document looks like before (or without) its page being fetched
+  lightweightContent(item, description = '') {
+    return [item.title, description, item.folderPath && 'Saved in ' + item.folderPath, this.urlWords(item.url)]
+      .filter(Boolean)
+      .join('. ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  },
+
+  decodeEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+      if (entity[0] === '#') {
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return Number.isFinite(code) && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+      }
+      return named[entity.toLowerCase()] ?? match;
+    });
+  },
+
+  // Service workers have no DOMParser, so pages are reduced to text with patterns
+  htmlToText(html) {
+    const attribute = (tag, name) => (tag.match(new RegExp(`${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i')) || [])
+      .slice(2).find(value => value !== undefined) || '';
+    const metaTags = html.match(/<meta\b[^>]*>/gi) || [];
+    const description = metaTags
+      .filter(tag => /(name|property)\s*=\s*["'](description|og:description)["']/i.test(tag))
+      .map(tag => attribute(tag, 'content'))
+      .find(Boolean) || '';
+    const title = (html.match(/<title[^>]*>([\s\S]*?)<\/title>/i) || [])[1] || '';
+
+    const body = html
+      .replace(/<(head|script|style|noscript|svg|nav|header|footer|aside)\b[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<!--[\s\S]*?-->/g, ' ')
+      .replace(/<[^>]+>/g, ' ');
+
+    const clean = text => this.decodeEntities(text).replace(/\s+/g, ' ').trim();
+    return {
+      title: clean(title).substring(0, 200),
+      description: clean(description),
+      text: clean(body).substring(0, this.MAX_TEXT_LENGTH)
+    };
+  },
+
+  // Without cookies, so only what a logged-out visitor would see is read
+  // isAllowed(url) is asked again about where redirects ended up, before any of that page is read
+  async fetchPage(url, isAllowed = () => true) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.FETCH_TIMEOUT_MS);
+    try {
+      const response = await fetch(url, { credentials: 'omit', redirect: 'follow', signal: controller.signal });
+      if (response.redirected && !isAllowed(response.url)) {
+        throw new Error('Redirected to a site that is not captured: ' + response.url);
+      }
+      if (!response.ok) {
+        throw new Error('HTTP ' + response.status);
+      }
+      const type = response.headers.get('content-type') || '';
+      if (!/text\/html|application\/xhtml/i.test(type)) {
+        throw new Error('Not a web page: ' + (type || 'unknown type'));
+      }
+      return this.htmlToText(await this.readLimited(response, this.MAX_FETCH_BYTES));
+    } finally {
+      clearTimeout(timer);
+      // Stops downloading whatever of the body was left unread
+      controller.abort();
+    }
+  },
+
+  // Reads at most maxBytes of the body, so a huge or endless response can't fill memory
+  async readLimited(response, maxBytes) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let text = '';
+    let bytes = 0;
+    while (bytes < maxBytes) {
+      const { done, value } = await reader.read();
+      if (done) return text + decoder.decode();
+      const chunk = value.subarray(0, maxBytes - bytes);
+      bytes += chunk.length;
+      text += decoder.decode(chunk, { stream: true });
+    }
+    await reader.cancel();
+    return text + decoder.decode();
+  }
+};
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WeavesImportSources;
+} else if (typeof self !== 'undefined') {
+  self.WeavesImportSources = WeavesImportSources;
+}
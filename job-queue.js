@@ -0,0 +1,200 @@
+// Weaves Job Queue - Persistent background queue for analysis jobs with concurrency, retries and cancellation
+class WeavesJobQueue {
+  constructor(options = {}) {
+    this.STORAGE_KEY = 'weavesJobQueue';
+    this.concurrency = options.concurrency || 1;
+    this.maxAttempts = options.maxAttempts || 3;
+    this.baseDelay = options.baseDelay || 2000; // ms, doubled on each retry
+    this.maxDelay = options.maxDelay || 30000;
+
+    this.processor = options.processor; // async (job) => result
+    this.onComplete = options.onComplete || (() => {}); // (job, result) => void
+
+    this.pending = [];
+    this.running = new Map();
+    this.retryTimer = null;
+    this.stats = { completed: 0, failed: 0, retried: 0, cancelled: 0, lastError: null };
+  }
+
+  // Reload jobs that survived a service worker restart; isJobValid lets the caller drop stale ones
+  async restore(isJobValid = async () => true) {
+    try {
+      const result = await chrome.storage.local.get([this.STORAGE_KEY]);
+      const saved = result[this.STORAGE_KEY] || [];
+
+      for (const job of saved) {
+        if (this.pending.find(p => p.key === job.key)) continue;
+        if (await isJobValid(job)) {
+          this.pending.push({ ...job, nextAttemptAt: 0 });
+        }
+      }
+
+      if (saved.length > 0) {
+        console.log('Restored ' + this.pending.length + ' of ' + saved.length + ' queued jobs');
+      }
+      await this.persist();
+      this.schedule();
+    } catch (error) {
+      console.error('Failed to restore job queue:', error);
+    }
+  }
+
+  async persist() {
+    try {
+      // Running jobs are saved too so an interrupted job is retried after a restart
+      const jobs = [...this.running.values(), ...this.pending]
+        .filter(job => !job.cancelled)
+        .map(({ id, key, payload, attempts, enqueuedAt }) => ({ id, key, payload, attempts, enqueuedAt }));
+      await chrome.storage.local.set({ [this.STORAGE_KEY]: jobs });
+    } catch (error) {
+      console.error('Failed to persist job queue:', error);
+    }
+  }
+
+  // One pending job per key: a newer payload for the same key replaces the queued one
+  enqueue(key, payload) {
+    const job = this.add(key, payload);
+    this.persist();
+    this.schedule();
+    return job;
+  }
+
+  // Many jobs with a single write of the queue; entries are [{ key, payload }]
+  enqueueAll(entries) {
+    const jobs = entries.map(({ key, payload }) => this.add(key, payload));
+    if (jobs.length > 0) {
+      this.persist();
+      this.schedule();
+    }
+    return jobs;
+  }
+
+  add(key, payload) {
+    const existing = this.pending.find(job => job.key === key);
+    if (existing) {
+      existing.payload = payload;
+      existing.attempts = 0;
+      existing.nextAttemptAt = 0;
+      existing.enqueuedAt = Date.now();
+      return existing;
+    }
+
+    const job = {
+      id: 'job-' + Date.now() + '-' + Math.random().toString(36).slice(2, 8),
+      key,
+      payload,
+      attempts: 0,
+      enqueuedAt: Date.now(),
+      nextAttemptAt: 0
+    };
+    this.pending.push(job);
+    return job;
+  }
+
+  cancel(key) {
+    let cancelled = 0;
+
+    this.pending = this.pending.filter(job => {
+      if (job.key !== key) return true;
+      cancelled++;
+      return false;
+    });
+
+    // A running job cannot be interrupted mid-prompt; the processor checks this flag before committing
+    for (const job of this.running.values()) {
+      if (job.key === key && !job.cancelled) {
+        job.cancelled = true;
+        cancelled++;
+      }
+    }
+
+    if (cancelled > 0) {
+      this.stats.cancelled += cancelled;
+      this.persist();
+      console.log('Cancelled ' + cancelled + ' job(s) for ' + key);
+    }
+    return cancelled;
+  }
+
+  schedule() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+
+    const now = Date.now();
+    while (this.running.size < this.concurrency) {
+      const index = this.pending.findIndex(job => job.nextAttemptAt <= now);
+      if (index === -1) break;
+      const [job] = this.pending.splice(index, 1);
+      this.run(job);
+    }
+
+    // Wake up for the earliest job still backing off
+    const waiting = this.pending.filter(job => job.nextAttemptAt > now);
+    if (waiting.length > 0 && this.running.size < this.concurrency) {
+      const nextAt = Math.min(...waiting.map(job => job.nextAttemptAt));
+      this.retryTimer = setTimeout(() => this.schedule(), nextAt - now);
+    }
+  }
+
+  async run(job) {
+    this.running.set(job.id, job);
+    job.attempts++;
+
+    try {
+      const result = await this.processor(job);
+      if (job.cancelled) {
+        console.log('Discarded result of cancelled job ' + job.id);
+      } else {
+        this.stats.completed++;
+        this.onComplete(job, result);
+      }
+    } catch (error) {
+      if (!job.cancelled && this.isRetryable(error) && job.attempts < this.maxAttempts) {
+        const delay = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, job.attempts - 1));
+        job.nextAttemptAt = Date.now() + delay + Math.floor(Math.random() * 250);
+        this.stats.retried++;
+        console.warn('Job ' + job.id + ' failed (attempt ' + job.attempts + '), retrying in ' + delay + 'ms:', error);
+
+        // A newer job for the same key may have been queued meanwhile; it wins
+        if (!this.pending.find(p => p.key === job.key)) {
+          this.pending.push(job);
+        }
+      } else if (!job.cancelled) {
+        this.stats.failed++;
+        this.stats.lastError = error.message;
+        console.error('Job ' + job.id + ' failed permanently:', error);
+      }
+    } finally {
+      this.running.delete(job.id);
+      this.persist();
+      this.schedule();
+    }
+  }
+
+  isRetryable(error) {
+    return !(error && error.permanent);
+  }
+
+  getStatus() {
+    return {
+      pending: this.pending.length,
+      running: this.running.size,
+      depth: this.pending.length + this.running.size,
+      concurrency: this.concurrency,
+      completed: this.stats.completed,
+      failed: this.stats.failed,
+      retried: this.stats.retried,
+      cancelled: this.stats.cancelled,
+      lastError: this.stats.lastError
+    };
+  }
+}
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WeavesJobQueue;
+} else if (typeof self !== 'undefined') {
+  self.WeavesJobQueue = WeavesJobQueue;
+}
@@ -0,0 +1,209 @@
+// Weaves Lexical Engine - Offline BM25 connection finder used when Chrome's built-in AI is unavailable
+class WeavesLexicalEngine {
+  constructor(options = {}) {
+    this.k1 = options.k1 || 1.2;
+    this.b = options.b || 0.75;
+    this.minStrength = options.minStrength || 0.2;
+    this.maxStrength = options.maxStrength || 0.95;
+    this.maxConnections = options.maxConnections || 2;
+
+    // Themes carry most of the signal in minimalFallbackAnalysis, sentences add context
+    this.FIELD_WEIGHTS = {
+      themes: 3,
+      problems: 2,
+      solutions: 2,
+      coreMessage: 1
+    };
+  }
+
+  static tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .split(/\W+/)
+      .filter(w => w.length > 3 && !/^\d+$/.test(w) && !WeavesLexicalEngine.STOP_WORDS.has(w))
+      .map(w => WeavesLexicalEngine.stem(w));
+  }
+
+  // Light plural folding so "problems" matches "problem" without mangling display terms
+  static stem(word) {
+    if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+    if (word.length > 4 && word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+    return word;
+  }
+
+  buildDocument(content) {
+    const analysis = content.analysis || {};
+    const fields = {
+      themes: (analysis.themes || []).flatMap(t => WeavesLexicalEngine.tokenize(t)),
+      problems: (analysis.problems || []).flatMap(p => WeavesLexicalEngine.tokenize(p)),
+      solutions: (analysis.solutions || []).flatMap(s => WeavesLexicalEngine.tokenize(s)),
+      coreMessage: WeavesLexicalEngine.tokenize(analysis.coreMessage)
+    };
+
+    const tf = new Map();
+    let length = 0;
+    for (const [field, terms] of Object.entries(fields)) {
+      const weight = this.FIELD_WEIGHTS[field];
+      terms.forEach(term => {
+        tf.set(term, (tf.get(term) || 0) + weight);
+        length += weight;
+      });
+    }
+
+    return {
+      id: content.id,
+      title: content.title || 'Untitled',
+      fields: {
+        themes: new Set(fields.themes),
+        problems: new Set(fields.problems),
+        solutions: new Set(fields.solutions)
+      },
+      tf,
+      length
+    };
+  }
+
+  corpusStats(docs) {
+    const df = new Map();
+    let totalLength = 0;
+    docs.forEach(doc => {
+      totalLength += doc.length;
+      for (const term of doc.tf.keys()) {
+        df.set(term, (df.get(term) || 0) + 1);
+      }
+    });
+    return {
+      N: docs.length,
+      df,
+      avgLength: docs.length > 0 ? totalLength / docs.length : 0
+    };
+  }
+
+  // BM25 weight of one matched term; WeavesContentIndex ranks with it too
+  termScore(tf, queryWeight, { df, N, length, avgLength }) {
+    const idf = Math.log(1 + (N - df + 0.5) / (df + 0.5));
+    const norm = (tf * (this.k1 + 1)) /
+      (tf + this.k1 * (1 - this.b + this.b * length / (avgLength || 1)));
+    return idf * norm * Math.min(queryWeight, this.FIELD_WEIGHTS.themes);
+  }
+
+  score(query, doc, stats) {
+    const contributions = [];
+    let total = 0;
+
+    for (const [term, queryWeight] of query.tf.entries()) {
+      const tf = doc.tf.get(term);
+      if (!tf) continue;
+
+      const contribution = this.termScore(tf, queryWeight, {
+        df: stats.df.get(term) || 0,
+        N: stats.N,
+        length: doc.length,
+        avgLength: stats.avgLength
+      });
+
+      contributions.push({ term, contribution });
+      total += contribution;
+    }
+
+    contributions.sort((a, b) => b.contribution - a.contribution);
+    return { total, contributions };
+  }
+
+  findConnections(newContent, existingContents) {
+    const query = this.buildDocument(newContent);
+    if (query.length === 0) return [];
+
+    const docs = existingContents
+      .filter(c => c.id !== newContent.id)
+      .map(c => this.buildDocument(c))
+      .filter(d => d.length > 0);
+    if (docs.length === 0) return [];
+
+    // The new page is part of the corpus so its own terms count towards document frequency
+    const stats = this.corpusStats([query, ...docs]);
+    const selfScore = this.score(query, query, stats).total;
+    if (selfScore <= 0) return [];
+
+    return docs
+      .map(doc => {
+        const match = this.score(query, doc, stats);
+        const strength = Math.min(this.maxStrength, Math.round((match.total / selfScore) * 100) / 100);
+        return { doc, match, strength };
+      })
+      .filter(({ strength, match }) => strength >= this.minStrength && match.contributions.length > 0)
+      .sort((a, b) => b.strength - a.strength)
+      .slice(0, this.maxConnections)
+      .map(({ doc, match, strength }) => {
+        const explanation = this.buildReason(query, doc, match);
+        return {
+          contentId: doc.id,
+          strength: strength,
+          reason: explanation.reason,
+          type: explanation.type,
+          direction: explanation.direction,
+          matchedTerms: match.contributions.slice(0, 5).map(c => c.term),
+          heuristic: true,
+          engine: 'lexical'
+        };
+      });
+  }
+
+  buildReason(query, doc, match) {
+    const newTitle = this.shortTitle(query.title);
+    const targetTitle = this.shortTitle(doc.title);
+    const topTerms = match.contributions.map(c => c.term);
+
+    // A term that is a problem on one side and a solution on the other is the most useful signal
+    const answeredHere = topTerms.filter(t => query.fields.problems.has(t) && doc.fields.solutions.has(t));
+    const answeredThere = topTerms.filter(t => query.fields.solutions.has(t) && doc.fields.problems.has(t));
+
+    // Types and directions follow WeavesConnectionTypes; direction is relative to the new page
+    if (answeredHere.length > 0) {
+      return {
+        type: 'answers-question-in',
+        direction: 'existing-to-new',
+        reason: `"${targetTitle}" discusses solutions around ${this.formatTerms(answeredHere)} that may address the problems raised in "${newTitle}".`
+      };
+    }
+
+    if (answeredThere.length > 0) {
+      return {
+        type: 'answers-question-in',
+        direction: 'new-to-existing',
+        reason: `"${newTitle}" proposes approaches to ${this.formatTerms(answeredThere)}, which "${targetTitle}" raises as an open problem.`
+      };
+    }
+
+    // Plain overlap has no real direction; the newer page is taken to build on what was read before
+    return {
+      type: 'extends',
+      direction: 'new-to-existing',
+      reason: `"${newTitle}" and "${targetTitle}" share key terms (${this.formatTerms(topTerms)}), suggesting they cover related ground worth reading together.`
+    };
+  }
+
+  formatTerms(terms) {
+    const list = terms.slice(0, 3).map(t => `"${t}"`);
+    if (list.length <= 1) return list.join('');
+    return list.slice(0, -1).join(', ') + ' and ' + list[list.length - 1];
+  }
+
+  shortTitle(title) {
+    return title.length > 60 ? title.substring(0, 57) + '...' : title;
+  }
+}
+
+WeavesLexicalEngine.STOP_WORDS = new Set([
+  'this', 'that', 'with', 'have', 'will', 'from', 'they', 'been', 'their', 'said', 'each',
+  'which', 'than', 'them', 'many', 'some', 'time', 'very', 'when', 'much', 'your', 'what',
+  'there', 'were', 'would', 'could', 'should', 'about', 'into', 'more', 'also', 'just',
+  'like', 'only', 'other', 'over', 'such', 'then', 'these', 'those', 'where', 'while', 'here'
+]);
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WeavesLexicalEngine;
+} else if (typeof self !== 'undefined') {
+  self.WeavesLexicalEngine = WeavesLexicalEngine;
+}
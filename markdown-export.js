@@ -0,0 +1,132 @@
+// Weaves Markdown Export - Turns pages and connections into an Obsidian-style vault of linked notes
+const WeavesMarkdownExport = {
+  FOLDER: 'Weaves',
+  PINNED_TAG: 'weaves/pinned',
+
+  // Obsidian rejects these in note names, and [ ] | # ^ break wikilinks
+  noteName(title) {
+    const name = String(title || 'Untitled')
+      .replace(/[\\/:*?"<>|#^[\]]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .substring(0, 80)
+      .trim();
+    return name || 'Untitled';
+  },
+
+  // Unique note names per document; repeated titles get " (2)", " (3)" in capture order
+  assignNames(documents) {
+    const names = new Map();
+    // The index note's name is reserved
+    const used = new Map([['weaves export', 1]]);
+    [...documents]
+      .sort((a, b) => (a.firstSeen || a.timestamp || 0) - (b.firstSeen || b.timestamp || 0))
+      .forEach(doc => {
+        const base = this.noteName(doc.title);
+        const key = base.toLowerCase();
+        const count = (used.get(key) || 0) + 1;
+        used.set(key, count);
+        names.set(doc.id, count === 1 ? base : `${base} (${count})`);
+      });
+    return names;
+  },
+
+  yamlValue(value) {
+    return JSON.stringify(value === undefined || value === null ? '' : String(value));
+  },
+
+  formatDate(timestamp) {
+    return timestamp ? new Date(timestamp).toISOString().substring(0, 10) : '';
+  },
+
+  list(title, items) {
+    if (!items || items.length === 0) return '';
+    return `## ${title}\n\n${items.map(item => `- ${String(item).replace(/\n+/g, ' ')}`).join('\n')}\n\n`;
+  },
+
+  // One "- verb [[Note]]" line per connection, annotated with its reason
+  linkLine(connection, doc, names, pinned) {
+    const outgoing = connection.from === doc.id;
+    const otherId = outgoing ? connection.to : connection.from;
+    const other = names.get(otherId) || this.noteName(outgoing ? connection.toTitle : connection.fromTitle);
+    const verb = WeavesConnectionTypes.verb(connection.type);
+    const relation = outgoing ? `${verb} [[${other}]]` : `[[${other}]] ${verb} this`;
+    const strength = Math.round((connection.strength || 0) * 100);
+    const reason = String(connection.reason || '').replace(/\n+/g, ' ').trim();
+    return `- ${relation} (${strength}%)${reason ? ` — ${reason}` : ''}${pinned ? ` #${this.PINNED_TAG}` : ''}`;
+  },
+
+  renderNote(doc, connections, names, context) {
+    const analysis = doc.analysis || {};
+    const isPinned = connection => context.pinnedIds.has(context.connectionId(connection));
+    const tags = ['weaves'];
+    if (connections.some(isPinned)) tags.push(this.PINNED_TAG);
+    const project = context.projectNames.get(doc.projectId);
+
+    const frontmatter = [
+      '---',
+      `title: ${this.yamlValue(doc.title || 'Untitled')}`,
+      `url: ${this.yamlValue(doc.url)}`,
+      `domain: ${this.yamlValue(doc.domain)}`,
+      `captured: ${this.yamlValue(this.formatDate(doc.firstSeen || doc.timestamp))}`,
+      ...(project ? [`project: ${this.yamlValue(project)}`] : []),
+      ...(analysis.contentNature ? [`nature: ${this.yamlValue(analysis.contentNature)}`] : []),
+      `tags: [${tags.map(tag => this.yamlValue(tag)).join(', ')}]`,
+      '---',
+      ''
+    ].join('\n');
+
+    let body = `# ${doc.title || 'Untitled'}\n\n`;
+    if (analysis.coreMessage) body += `> ${analysis.coreMessage.replace(/\n+/g, ' ')}\n\n`;
+    if (doc.url) body += `Source: [${doc.domain || doc.url}](${doc.url})\n\n`;
+    body += this.list('Themes', analysis.themes);
+    body += this.list('Problems', analysis.problems);
+    body += this.list('Solutions', analysis.solutions);
+
+    if (connections.length > 0) {
+      const sorted = [...connections].sort((a, b) => b.strength - a.strength);
+      body += `## Connections\n\n${sorted.map(c => this.linkLine(c, doc, names, isPinned(c))).join('\n')}\n`;
+    }
+
+    return frontmatter + body;
+  },
+
+  // documents: pages with analyses; connections between them; context: { label, pinnedIds, connectionId, projectNames }.
+  // Returns [{ path, content }] ready for WeavesZip.build
+  buildVault(documents, connections, context) {
+    const names = this.assignNames(documents);
+    const byDocument = new Map(documents.map(doc => [doc.id, []]));
+    connections.forEach(connection => {
+      byDocument.get(connection.from)?.push(connection);
+      byDocument.get(connection.to)?.push(connection);
+    });
+
+    const files = documents.map(doc => ({
+      path: `${this.FOLDER}/${names.get(doc.id)}.md`,
+      content: this.renderNote(doc, byDocument.get(doc.id), names, context)
+    }));
+
+    const index = [
+      `# Weaves Export`,
+      '',
+      `${context.label} · exported ${new Date().toLocaleString()}`,
+      '',
+      `${documents.length} note${documents.length === 1 ? '' : 's'}, ${connections.length} connection${connections.length === 1 ? '' : 's'}`,
+      '',
+      ...[...documents]
+        .sort((a, b) => byDocument.get(b.id).length - byDocument.get(a.id).length)
+        .map(doc => `- [[${names.get(doc.id)}]] (${byDocument.get(doc.id).length})`),
+      ''
+    ].join('\n');
+    files.push({ path: `${this.FOLDER}/Weaves Export.md`, content: index });
+
+    return files;
+  }
+};
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WeavesMarkdownExport;
+} else if (typeof self !== 'undefined') {
+  self.WeavesMarkdownExport = WeavesMarkdownExport;
+}
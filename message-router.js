@@ -0,0 +1,114 @@
+// Weaves Message Router - Dispatches runtime messages to registered handlers with exactly one reply each
+
+// Thrown by handlers to send a structured { success: false, code, error } reply
+class WeavesMessageError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'WeavesMessageError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class WeavesMessageRouter {
+  constructor(options = {}) {
+    this.scope = options.scope || 'background';
+    this.handlers = new Map();
+  }
+
+  // handler(message, sender) returns (or resolves to) the reply; returning nothing replies { success: true }
+  register(type, handler) {
+    if (WeavesMessageTypes.handledBy(type) !== this.scope) {
+      throw new Error(`${type} is not a ${this.scope} message type`);
+    }
+    if (this.handlers.has(type)) {
+      throw new Error(`A handler for ${type} is already registered`);
+    }
+    this.handlers.set(type, handler);
+    return this;
+  }
+
+  listen() {
+    // Not async: the listener has to return true synchronously to keep the channel open
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) =>
+      this.dispatch(message, sender, sendResponse));
+  }
+
+  dispatch(message, sender, sendResponse) {
+    const codes = WeavesMessageTypes.ERROR_CODES;
+
+    if (!message || typeof message.type !== 'string') {
+      sendResponse(WeavesMessageRouter.errorReply(codes.INVALID_MESSAGE, 'Messages need a string type'));
+      return false;
+    }
+
+    // Messages meant for another script (e.g. tab messages) are left for their own listeners
+    const handledBy = WeavesMessageTypes.handledBy(message.type);
+    if (handledBy && handledBy !== this.scope) return false;
+
+    const handler = this.handlers.get(message.type);
+    if (!handler) {
+      sendResponse(WeavesMessageRouter.errorReply(codes.UNKNOWN_TYPE, 'Unsupported message type: ' + message.type));
+      return false;
+    }
+
+    // A compromised page must not be able to switch off redaction or capture rules through content.js
+    if (this.scope === 'background' && !WeavesMessageTypes.allowedFromPages(message.type) && !WeavesMessageRouter.isExtensionPage(sender)) {
+      sendResponse(WeavesMessageRouter.errorReply(codes.NOT_ALLOWED, message.type + ' can only be sent from the Weaves popup'));
+      return false;
+    }
+
+    const errors = WeavesResponseParser.validate(message, WeavesMessageTypes.schemaFor(message.type), 'message');
+    if (errors.length > 0) {
+      sendResponse(WeavesMessageRouter.errorReply(codes.INVALID_PAYLOAD, errors[0], errors));
+      return false;
+    }
+
+    let replied = false;
+    const reply = (response) => {
+      if (replied) {
+        console.warn('Ignoring second reply for', message.type);
+        return;
+      }
+      replied = true;
+      sendResponse(response);
+    };
+
+    Promise.resolve()
+      .then(() => handler(message, sender))
+      .then(result => reply(result === undefined ? { success: true } : result))
+      .catch(error => {
+        if (!(error instanceof WeavesMessageError)) {
+          console.error(`Handler for ${message.type} failed:`, error);
+        }
+        reply(WeavesMessageRouter.errorReply(error.code || codes.HANDLER_FAILED, error.message, error.details));
+      });
+
+    return true;
+  }
+
+  // The popup and other pages of this extension, as opposed to content scripts running inside web pages
+  static isExtensionPage(sender = {}) {
+    return sender.id === chrome.runtime.id && typeof sender.url === 'string' &&
+      sender.url.startsWith(chrome.runtime.getURL(''));
+  }
+
+  // error stays a string so existing `response.error` checks keep working
+  static errorReply(code, message, details) {
+    const reply = { success: false, code, error: message };
+    if (details !== undefined) reply.details = details;
+    return reply;
+  }
+
+  getRegisteredTypes() {
+    return Array.from(this.handlers.keys());
+  }
+}
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { WeavesMessageRouter, WeavesMessageError };
+} else if (typeof self !== 'undefined') {
+  self.WeavesMessageRouter = WeavesMessageRouter;
+  self.WeavesMessageError = WeavesMessageError;
+}
@@ -0,0 +1,213 @@
+// Weaves Message Types - Every runtime message, the script that handles it and the payload it must carry
+// Payload schemas use the JSON Schema subset understood by WeavesResponseParser.validate
+const connectionIdPayload = {
+  required: ['connectionId'],
+  properties: { connectionId: { type: 'string', minLength: 1 } }
+};
+
+const WeavesMessageTypes = {
+  // Sent with chrome.runtime.sendMessage, handled by the background service worker. Only types marked
+  // fromPages may come from content.js; the rest change or reveal state and only the popup sends them
+  BACKGROUND: {
+    CHECK_CAPTURE_POLICY: { fromPages: true, properties: { url: { type: 'string' } } },
+    CONTENT_UPDATE: {
+      fromPages: true,
+      required: ['content'],
+      properties: {
+        title: { type: 'string' },
+        content: { type: 'string' },
+        url: { type: 'string' },
+        canonicalUrl: { type: 'string' },
+        domain: { type: 'string' },
+        platform: { type: 'string' },
+        contentType: { type: 'string' },
+        // Bibliographic metadata read from the page; normalized again in the background
+        citation: { type: 'object' }
+      }
+    },
+    GET_CONNECTIONS: {},
+    GET_QUEUE_STATUS: {},
+    GET_SITE_STATUS: {
+      required: ['url'],
+      properties: { url: { type: 'string' }, incognito: { type: 'boolean' } }
+    },
+    UPDATE_SITE_POLICY: {
+      required: ['action', 'url'],
+      properties: {
+        action: {
+          type: 'string',
+          enum: ['pause-site', 'resume-site', 'pause-everywhere', 'resume-everywhere', 'block-site', 'allow-site', 'reset-site']
+        },
+        url: { type: 'string' },
+        incognito: { type: 'boolean' }
+      }
+    },
+    GET_SETTINGS: {},
+    UPDATE_SETTINGS: {
+      required: ['settings'],
+      properties: { settings: { type: 'object' } }
+    },
+    GET_DIAGNOSTICS: {},
+    GET_MAINTENANCE_STATUS: {},
+    CLEAR_ANALYSIS_CACHE: {},
+    CONNECTION_FEEDBACK: {
+      required: ['connectionId'],
+      properties: {
+        connectionId: { type: 'string', minLength: 1 },
+        vote: { enum: ['up', 'down', null] }
+      }
+    },
+    GET_FEEDBACK_STATS: {},
+    RESET_FEEDBACK: {},
+    PIN_CONNECTION: connectionIdPayload,
+    UNPIN_CONNECTION: connectionIdPayload,
+    DELETE_CONNECTION: connectionIdPayload,
+    // An empty note removes it
+    SET_CONNECTION_NOTE: {
+      required: ['connectionId', 'note'],
+      properties: {
+        connectionId: { type: 'string', minLength: 1 },
+        note: { type: 'string', maxLength: 2000 }
+      }
+    },
+    GET_ARCHIVES: {},
+    SEARCH_ARCHIVES: {
+      properties: {
+        query: { type: 'string' },
+        date: { type: 'string' }
+      }
+    },
+    RESTORE_ARCHIVED_CONNECTION: {
+      required: ['date', 'connectionId'],
+      properties: {
+        date: { type: 'string', minLength: 1 },
+        connectionId: { type: 'string', minLength: 1 }
+      }
+    },
+    EXPORT_MARKDOWN: {
+      properties: {
+        scope: { type: 'string', enum: ['today', 'day', 'project', 'pinned', 'connection'] },
+        date: { type: 'string' },
+        projectId: { type: 'string' },
+        connectionId: { type: 'string' }
+      }
+    },
+    EXPORT_GRAPH: {
+      required: ['format'],
+      properties: {
+        format: { type: 'string', enum: ['graphml', 'gexf', 'jsonld'] },
+        scope: { type: 'string', enum: ['today', 'day', 'project', 'pinned', 'connection'] },
+        date: { type: 'string' },
+        projectId: { type: 'string' },
+        connectionId: { type: 'string' }
+      }
+    },
+    EXPORT_CITATIONS: {
+      required: ['format'],
+      properties: {
+        format: { type: 'string', enum: ['bibtex', 'csl', 'ris'] },
+        scope: { type: 'string', enum: ['today', 'day', 'project', 'pinned', 'connection'] },
+        date: { type: 'string' },
+        projectId: { type: 'string' },
+        connectionId: { type: 'string' }
+      }
+    },
+    IMPORT_PREVIEW: {
+      properties: {
+        bookmarks: { type: 'boolean' },
+        historyDays: { type: 'number', minimum: 0 }
+      }
+    },
+    IMPORT_SOURCES: {
+      properties: {
+        bookmarks: { type: 'boolean' },
+        historyDays: { type: 'number', minimum: 0 },
+        folderIds: { type: 'array', items: { type: 'string' } },
+        domains: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    CREATE_BACKUP: {
+      required: ['passphrase'],
+      properties: { passphrase: { type: 'string', minLength: 8 } }
+    },
+    // Decrypts and checks a backup without restoring anything
+    PREVIEW_BACKUP: {
+      required: ['backup', 'passphrase'],
+      properties: {
+        backup: { type: 'string', minLength: 1 },
+        passphrase: { type: 'string', minLength: 1 }
+      }
+    },
+    RESTORE_BACKUP: {
+      required: ['backup', 'passphrase', 'mode'],
+      properties: {
+        backup: { type: 'string', minLength: 1 },
+        passphrase: { type: 'string', minLength: 1 },
+        mode: { type: 'string', enum: ['merge', 'replace'] }
+      }
+    },
+    GET_SYNC_STATUS: {},
+    SYNC_NOW: {},
+    CLEAR_SYNC_CONFLICTS: {},
+    GET_STORAGE_STATS: {},
+    CLEAR_DATA: {},
+    OPEN_POPUP: { fromPages: true }
+  },
+
+  // Sent with chrome.tabs.sendMessage, handled by content.js in the page
+  TAB: {
+    CONNECTIONS_FOUND: {
+      required: ['connections', 'highQuality'],
+      properties: { connections: { type: 'integer' }, highQuality: { type: 'integer' } }
+    },
+    SHOW_VISUALIZATION: {
+      required: ['connections'],
+      properties: { connections: { type: 'array' } }
+    },
+    SHOW_CONNECTIONS: {
+      required: ['data'],
+      properties: { data: { type: 'object' } }
+    },
+    HIDE_CONNECTIONS: {}
+  },
+
+  // Codes carried by { success: false, code, error } replies
+  ERROR_CODES: {
+    INVALID_MESSAGE: 'INVALID_MESSAGE',
+    UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+    INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+    NOT_FOUND: 'NOT_FOUND',
+    NOT_ALLOWED: 'NOT_ALLOWED',
+    UNAVAILABLE: 'UNAVAILABLE',
+    HANDLER_FAILED: 'HANDLER_FAILED'
+  },
+
+  schemaFor(type) {
+    const spec = this.BACKGROUND[type] || this.TAB[type];
+    if (!spec) return null;
+    return { type: 'object', required: ['type', ...(spec.required || [])], properties: spec.properties || {} };
+  },
+
+  // Whether a content script running inside a web page may send this type
+  allowedFromPages(type) {
+    return Boolean(this.BACKGROUND[type]?.fromPages);
+  },
+
+  handledBy(type) {
+    if (this.BACKGROUND[type]) return 'background';
+    if (this.TAB[type]) return 'tab';
+    return null;
+  }
+};
+
+// Constants so callers write WeavesMessageTypes.GET_CONNECTIONS rather than bare strings
+[...Object.keys(WeavesMessageTypes.BACKGROUND), ...Object.keys(WeavesMessageTypes.TAB)].forEach(type => {
+  WeavesMessageTypes[type] = type;
+});
+
+// Export for background, popup and content scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WeavesMessageTypes;
+} else if (typeof self !== 'undefined') {
+  self.WeavesMessageTypes = WeavesMessageTypes;
+}
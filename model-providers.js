@@ -0,0 +1,213 @@
+// Weaves Model Providers - Pluggable model backends; each hands WeavesAI a session with prompt(text, options)
+
+// Chrome's built-in Prompt API (Gemini Nano)
+class ChromeBuiltInProvider {
+  constructor(config = {}) {
+    this.id = 'chrome-builtin';
+    this.config = config;
+  }
+
+  async isAvailable() {
+    if (typeof LanguageModel === 'undefined') return false;
+    const availability = await LanguageModel.availability();
+    console.log('Chrome AI availability:', availability);
+    return Boolean(availability) && availability !== 'unavailable';
+  }
+
+  async createSession(options = {}) {
+    return LanguageModel.create(options);
+  }
+}
+
+// Any OpenAI-compatible chat completions server, e.g. Ollama or llama.cpp on localhost
+class LocalHttpProvider {
+  constructor(config = {}) {
+    this.id = 'local-http';
+    // Blank fields in settings mean "use the default", not an empty endpoint or model
+    const given = Object.fromEntries(Object.entries(config).filter(([, value]) => value !== '' && value != null));
+    this.config = {
+      endpoint: LocalHttpProvider.DEFAULT_ENDPOINT,
+      model: 'llama3.1',
+      apiKey: '',
+      timeoutMs: 60000,
+      ...given
+    };
+    this.config.endpoint = String(this.config.endpoint).trim().replace(/\/+$/, '');
+  }
+
+  // Page text goes to this server, so it has to be on this machine
+  static isLocalEndpoint(endpoint) {
+    try {
+      const url = new URL(endpoint);
+      return /^https?:$/.test(url.protocol) && LocalHttpProvider.LOCAL_HOSTS.includes(url.hostname);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async isAvailable() {
+    try {
+      const response = await this.request('/models', { method: 'GET' }, 3000);
+      return response.ok;
+    } catch (error) {
+      console.log('Local model server not reachable:', error.message);
+      return false;
+    }
+  }
+
+  async createSession(options = {}) {
+    return new LocalHttpSession(this, options);
+  }
+
+  async request(path, init, timeoutMs = this.config.timeoutMs) {
+    if (!LocalHttpProvider.isLocalEndpoint(this.config.endpoint)) {
+      const error = new Error('Local model endpoint must be on localhost, 127.0.0.1 or [::1]: ' + this.config.endpoint);
+      error.permanent = true;
+      throw error;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    if (init.signal) {
+      init.signal.addEventListener('abort', () => controller.abort());
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.config.apiKey) {
+      headers['Authorization'] = 'Bearer ' + this.config.apiKey;
+    }
+
+    try {
+      return await fetch(this.config.endpoint + path, { ...init, headers, signal: controller.signal });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+LocalHttpProvider.DEFAULT_ENDPOINT = 'http://localhost:11434/v1';
+LocalHttpProvider.LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+class LocalHttpSession {
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.temperature = options.temperature !== undefined ? options.temperature : 0.7;
+  }
+
+  async prompt(text, options = {}) {
+    const body = {
+      model: this.provider.config.model,
+      messages: [{ role: 'user', content: text }],
+      temperature: this.temperature,
+      stream: false
+    };
+
+    if (options.responseConstraint) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: 'weaves_response', schema: options.responseConstraint }
+      };
+    }
+
+    const response = await this.provider.request('/chat/completions', {
+      method: 'POST',
+      body: JSON.stringify(body),
+      signal: options.signal
+    });
+
+    if (!response.ok) {
+      const error = new Error(`Local model request failed with HTTP ${response.status}`);
+      // Client errors will fail the same way next time; server errors and rate limits may not
+      error.permanent = response.status >= 400 && response.status < 500 && response.status !== 429;
+      throw error;
+    }
+
+    const data = await response.json();
+    return data.choices?.[0]?.message?.content || '';
+  }
+
+  destroy() {}
+}
+
+// Deterministic scripted provider for tests and demos
+class MockProvider {
+  constructor(config = {}) {
+    this.id = 'mock';
+    // Each entry is a response string or { match, response } where match is a substring of the prompt
+    this.responses = Array.isArray(config.responses) ? config.responses : [];
+  }
+
+  async isAvailable() {
+    return true;
+  }
+
+  async createSession() {
+    return new MockSession(this.responses);
+  }
+}
+
+class MockSession {
+  constructor(responses) {
+    this.responses = responses;
+    this.cursor = 0;
+    this.history = [];
+  }
+
+  async prompt(text, options = {}) {
+    this.history.push({ prompt: text, options });
+
+    const matched = this.responses.find(r => r && typeof r === 'object' && r.match && text.includes(r.match));
+    if (matched) return matched.response;
+
+    const sequential = this.responses.filter(r => typeof r === 'string');
+    if (this.cursor < sequential.length) {
+      return sequential[this.cursor++];
+    }
+
+    return this.defaultResponse(options.responseConstraint);
+  }
+
+  defaultResponse(schema) {
+    if (schema && schema.properties && schema.properties.connections) {
+      return JSON.stringify({ connections: [] });
+    }
+    return JSON.stringify({
+      coreMessage: 'Mock analysis',
+      themes: ['mock'],
+      emotionalContext: 'neutral',
+      problems: [],
+      solutions: [],
+      contentNature: 'general'
+    });
+  }
+
+  destroy() {}
+}
+
+const WeavesModelProviders = {
+  PROVIDERS: {
+    'chrome-builtin': { label: "Chrome built-in AI", create: (config) => new ChromeBuiltInProvider(config) },
+    'local-http': { label: 'Local OpenAI-compatible server', create: (config) => new LocalHttpProvider(config) },
+    'mock': { label: 'Scripted mock (testing)', create: (config) => new MockProvider(config) }
+  },
+
+  create(id, config = {}) {
+    const provider = this.PROVIDERS[id] || this.PROVIDERS['chrome-builtin'];
+    return provider.create(config);
+  },
+
+  list() {
+    return Object.entries(this.PROVIDERS).map(([id, provider]) => ({ id, label: provider.label }));
+  },
+
+  isLocalEndpoint(endpoint) {
+    return LocalHttpProvider.isLocalEndpoint(endpoint);
+  }
+};
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WeavesModelProviders;
+} else if (typeof self !== 'undefined') {
+  self.WeavesModelProviders = WeavesModelProviders;
+}
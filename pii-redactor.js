@@ -0,0 +1,150 @@
+// Weaves PII Redactor - Replaces personal data in page text with typed placeholders before it is stored or prompted
+const WeavesPiiRedactor = {
+  // Applied in this order so e.g. digits inside an email are not also read as a phone number
+  CATEGORIES: {
+    email: {
+      label: 'Email addresses',
+      placeholder: '[EMAIL]',
+      pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+    },
+    card: {
+      label: 'Card numbers',
+      placeholder: '[CARD_NUMBER]',
+      pattern: /\b(?:\d[ -]?){12,18}\d\b/g,
+      accept: match => WeavesPiiRedactor.passesLuhn(match.replace(/\D/g, ''))
+    },
+    iban: {
+      label: 'Bank account numbers (IBAN)',
+      placeholder: '[IBAN]',
+      pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/g
+    },
+    ssn: {
+      label: 'Social security numbers',
+      placeholder: '[SSN]',
+      pattern: /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/g
+    },
+    ip: {
+      label: 'IP addresses',
+      placeholder: '[IP_ADDRESS]',
+      // Four octets of at most 255, not part of a longer dotted number
+      pattern: /(?<![\d.])(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)(?!\.?\d)/g,
+      // "Version 1.2.3.4" and "build 10.0.19041.1" are release numbers, not addresses
+      accept: (match, text, offset) => !/\b(?:versions?|ver\.?|v\.?|release|build|firmware)\s*[:#]?\s*$/i
+        .test(text.substring(Math.max(0, offset - 20), offset))
+    },
+    phone: {
+      label: 'Phone numbers',
+      placeholder: '[PHONE]',
+      // Not inside a longer token such as a DOI (10.1038/s41586-021-03819-2), a URL path or a dotted number
+      pattern: /(?<![\w/.+-])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,5}\)[\s.-]?)?\d{2,5}(?:[\s.-]\d{2,6}){1,4}(?![\w/]|[.-]\d)/g,
+      // International or area-code numbers, or national ones shaped like 415-555-0132, 020 7946 0958 or
+      // 07700 900123, so grouped figures (331 449 281), years, ranges and version numbers survive
+      accept: match => {
+        const digits = match.replace(/\D/g, '').length;
+        if (digits < 9 || digits > 15) return false;
+        return /^\+|\(/.test(match) ||
+          /^\d{3}([\s.-])\d{3}\1\d{4}$/.test(match) ||
+          (/^0\d{1,4}(?:[\s.-]\d{2,6}){1,4}$/.test(match) && digits >= 10 && digits <= 11);
+      }
+    },
+    name: {
+      label: 'Names in greetings, sign-offs and mail headers',
+      placeholder: '[NAME]',
+      // Only the name is replaced; the leading cue word is kept for readability
+      pattern: /\b(Dear|Hi|Hello|Hey|From:|To:|Cc:|Bcc:|Regards,|Thanks,|Cheers,|Sincerely,|Best,)(\s+)([A-Z][a-z'-]+(?:\s+[A-Z][a-z'-]+){0,2})/g,
+      // "Hi Team" and "Dear Customer" address a group or role, not a person
+      accept: (match, text, offset, cue, space, name) =>
+        !WeavesPiiRedactor.GREETING_NOUNS.includes(name.split(/\s+/)[0].toLowerCase()),
+      replace: (match, cue, space) => cue + space + '[NAME]'
+    }
+  },
+
+  GREETING_NOUNS: [
+    'team', 'all', 'everyone', 'everybody', 'there', 'folks', 'guys', 'friends', 'friend', 'colleagues',
+    'sir', 'madam', 'sirs', 'customer', 'customers', 'user', 'users', 'support', 'admin', 'members',
+    'member', 'world', 'again', 'and', 'the', 'our', 'your', 'this', 'we', 'you', 'to', 'whom', 'reader',
+    'readers', 'subscriber', 'subscribers', 'applicant', 'candidate', 'hiring', 'manager', 'partner',
+    'partners', 'neighbor', 'neighbour', 'student', 'students', 'parents', 'staff', 'ladies'
+  ],
+
+  keys() {
+    return Object.keys(this.CATEGORIES);
+  },
+
+  list() {
+    return Object.entries(this.CATEGORIES).map(([id, category]) => ({ id, label: category.label }));
+  },
+
+  passesLuhn(digits) {
+    if (digits.length < 13 || digits.length > 19) return false;
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let digit = parseInt(digits[digits.length - 1 - i], 10);
+      if (i % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+    return sum % 10 === 0;
+  },
+
+  // Returns { text, counts, total }; counts only lists categories that were found
+  redact(text, categories = this.keys()) {
+    let result = String(text || '');
+    const counts = {};
+
+    this.keys()
+      .filter(key => categories.includes(key))
+      .forEach(key => {
+        const category = this.CATEGORIES[key];
+        result = result.replace(category.pattern, (...args) => {
+          // No pattern has named groups, so args end with the offset and the whole string
+          const [match, ...groups] = args.slice(0, -2);
+          const [offset, whole] = args.slice(-2);
+          if (category.accept && !category.accept(match, whole, offset, ...groups)) return match;
+          counts[key] = (counts[key] || 0) + 1;
+          return category.replace ? category.replace(...args) : category.placeholder;
+        });
+      });
+
+    const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+    return { text: result, counts, total };
+  },
+
+  // Adds b's counts into a
+  mergeCounts(a = {}, b = {}) {
+    const merged = { ...a };
+    Object.entries(b).forEach(([key, n]) => {
+      merged[key] = (merged[key] || 0) + n;
+    });
+    return merged;
+  },
+
+  // Redacts every string in a value (analyses, connections) without changing its shape
+  redactValue(value, categories) {
+    let counts = {};
+    const walk = (node) => {
+      if (typeof node === 'string') {
+        const redacted = this.redact(node, categories);
+        counts = this.mergeCounts(counts, redacted.counts);
+        return redacted.text;
+      }
+      if (Array.isArray(node)) return node.map(walk);
+      if (node && typeof node === 'object') {
+        return Object.fromEntries(Object.entries(node).map(([key, child]) => [key, walk(child)]));
+      }
+      return node;
+    };
+
+    const redacted = walk(value);
+    return { value: redacted, counts, total: Object.values(counts).reduce((sum, n) => sum + n, 0) };
+  }
+};
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WeavesPiiRedactor;
+} else if (typeof self !== 'undefined') {
+  self.WeavesPiiRedactor = WeavesPiiRedactor;
+}
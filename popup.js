@@ -1,4 +1,6 @@
 document.addEventListener('DOMContentLoaded', async () => {
+  loadSiteStatus();
+  loadSyncStatus();
   await loadConnectionsData();
   setupEventListeners();
   startAutoRefresh();
@@ -9,7 +11,11 @@ let currentConnections = [];
 let pinnedConnections = [];
 let isRefreshing = false;
 let refreshInterval;
-let currentView = 'main'; // 'main', 'pinned', 'detail'
+let currentView = 'main'; // 'main', 'pinned', 'detail', 'settings', 'history'
+let currentTypeFilter = 'all'; // 'all' or a WeavesConnectionTypes key
+let availableLenses = [];
+let settingsProjects = [];
+let archiveSearchTimer = null;
 
 function setupEventListeners() {
   // Don't set up static event listeners since we're using dynamic buttons
@@ -21,12 +27,48 @@ function setupEventListeners() {
       showMainView();
     }
   });
+  document.getElementById('settingsBtn')?.addEventListener('click', showSettingsView);
+  document.getElementById('settingsBackBtn')?.addEventListener('click', showMainView);
+  document.getElementById('providerSelect')?.addEventListener('change', updateProviderFields);
+  document.getElementById('saveProviderBtn')?.addEventListener('click', saveProviderSettings);
+  document.getElementById('saveCacheBtn')?.addEventListener('click', saveCacheSettings);
+  document.getElementById('clearCacheBtn')?.addEventListener('click', clearAnalysisCache);
+  document.getElementById('projectSelect')?.addEventListener('change', updateProjectFields);
+  document.getElementById('saveLensBtn')?.addEventListener('click', saveLensSettings);
+  document.getElementById('addProjectBtn')?.addEventListener('click', addProject);
+  document.getElementById('deleteProjectBtn')?.addEventListener('click', deleteProject);
+  document.getElementById('resetFeedbackBtn')?.addEventListener('click', resetFeedback);
+  document.getElementById('includeSuspicious')?.addEventListener('change', saveSafetySettings);
+  document.getElementById('savePrivacyBtn')?.addEventListener('click', savePrivacySettings);
+  document.getElementById('historyBtn')?.addEventListener('click', showHistoryView);
+  document.getElementById('historyBackBtn')?.addEventListener('click', showMainView);
+  document.getElementById('archiveDateSelect')?.addEventListener('change', searchArchives);
+  document.getElementById('archiveSearch')?.addEventListener('input', () => {
+    clearTimeout(archiveSearchTimer);
+    archiveSearchTimer = setTimeout(searchArchives, 250);
+  });
+  document.getElementById('includeArchives')?.addEventListener('change', saveArchiveDiscovery);
+  document.getElementById('exportScope')?.addEventListener('change', updateExportFields);
+  document.getElementById('exportFormat')?.addEventListener('change', updateExportFields);
+  document.getElementById('importScanBtn')?.addEventListener('click', previewImport);
+  document.getElementById('importBtn')?.addEventListener('click', runImport);
+  document.getElementById('importFetch')?.addEventListener('change', saveImportFetch);
+  document.getElementById('exportBtn')?.addEventListener('click', exportSelection);
+  document.getElementById('syncIndicator')?.addEventListener('click', showSettingsView);
+  document.getElementById('syncEnabled')?.addEventListener('change', saveSyncEnabled);
+  document.getElementById('syncNowBtn')?.addEventListener('click', syncNow);
+  document.getElementById('clearSyncConflictsBtn')?.addEventListener('click', clearSyncConflicts);
+  document.getElementById('createBackupBtn')?.addEventListener('click', createBackup);
+  document.getElementById('previewBackupBtn')?.addEventListener('click', previewBackup);
+  document.getElementById('restoreBtn')?.addEventListener('click', restoreBackup);
+  document.getElementById('restoreFile')?.addEventListener('change', resetRestorePreview);
 }
 
 function startAutoRefresh() {
   refreshInterval = setInterval(() => {
     if (!isRefreshing && currentView === 'main') {
       loadConnectionsData(true);
+      loadSyncStatus();
     }
   }, 3000);
 }
@@ -36,6 +78,8 @@ function showMainView() {
   document.getElementById('mainView').classList.remove('slide-out');
   document.getElementById('pinnedView').classList.remove('slide-in');
   document.getElementById('detailView').classList.remove('slide-in');
+  document.getElementById('settingsView').classList.remove('slide-in');
+  document.getElementById('historyView').classList.remove('slide-in');
   currentView = 'main';
 }
 
@@ -53,6 +97,1026 @@ function showDetailView(connection) {
   displayConnectionDetail(connection);
 }
 
+function showSettingsView() {
+  document.getElementById('mainView').classList.add('slide-out');
+  document.getElementById('settingsView').classList.add('slide-in');
+  currentView = 'settings';
+  loadSettings();
+}
+
+// Settings
+function showHistoryView() {
+  document.getElementById('mainView').classList.add('slide-out');
+  document.getElementById('historyView').classList.add('slide-in');
+  currentView = 'history';
+  loadArchives();
+}
+
+async function loadSettings() {
+  try {
+    const response = await chrome.runtime.sendMessage({type: WeavesMessageTypes.GET_SETTINGS});
+    if (!response) return;
+
+    const settings = response.settings || {};
+    const select = document.getElementById('providerSelect');
+    select.innerHTML = (response.providers || []).map(provider =>
+      `<option value="${provider.id}">${provider.label}</option>`
+    ).join('');
+    select.value = settings.modelProvider || 'chrome-builtin';
+
+    const localModel = settings.localModel || {};
+    document.getElementById('localEndpoint').value = localModel.endpoint || '';
+    document.getElementById('localModelName').value = localModel.model || '';
+    document.getElementById('localApiKey').value = localModel.apiKey || '';
+    document.getElementById('mockResponses').value = JSON.stringify(settings.mockResponses || [], null, 2);
+    document.getElementById('cacheSize').value = settings.analysisCacheSize || 200;
+    document.getElementById('cacheTTL').value = settings.analysisCacheTTLHours || 72;
+    document.getElementById('includeSuspicious').checked = Boolean(settings.includeSuspiciousContent);
+    document.getElementById('importFetch').checked = Boolean(settings.importFetchEnabled);
+    document.getElementById('syncEnabled').checked = settings.syncEnabled !== false;
+
+    document.getElementById('captureMode').value = settings.captureMode || 'everywhere';
+    document.getElementById('captureAllowList').value = (settings.captureAllowList || []).join('\n');
+    document.getElementById('captureBlockList').value = (settings.captureBlockList || []).join('\n');
+    const redactedCategories = settings.piiRedactionCategories || [];
+    document.getElementById('piiCategories').innerHTML = (response.piiCategories || []).map(category => `
+      <label class="settings-checkbox">
+        <input type="checkbox" data-pii-category="${category.id}" ${redactedCategories.includes(category.id) ? 'checked' : ''}>
+        ${escapeHTML(category.label)}
+      </label>
+    `).join('');
+
+    const blockedCategories = settings.defaultBlockCategories || [];
+    document.getElementById('privacyCategories').innerHTML = (response.privacyCategories || []).map(category => `
+      <label class="settings-checkbox">
+        <input type="checkbox" data-category="${category.id}" ${blockedCategories.includes(category.id) ? 'checked' : ''}>
+        ${escapeHTML(category.label)}
+      </label>
+    `).join('');
+
+    availableLenses = response.lenses || [];
+    settingsProjects = (settings.projects || []).map(project => ({ ...project }));
+    document.getElementById('lensSelect').innerHTML = getLensOptionsHTML();
+    document.getElementById('lensSelect').value = settings.activeLens || 'academic';
+    renderProjectOptions(settings.activeProjectId);
+    await loadExportOptions();
+    await loadSyncStatus();
+
+    updateProviderFields();
+    updateProviderStatus(response.aiStatus);
+    await loadDiagnostics();
+    await loadMaintenanceStatus();
+    await loadFeedbackStats();
+  } catch (error) {
+    console.error('Failed to load settings:', error);
+    showError('Failed to load settings');
+  }
+}
+
+function updateProviderFields() {
+  const provider = document.getElementById('providerSelect').value;
+  document.getElementById('localModelFields').classList.toggle('show', provider === 'local-http');
+  document.getElementById('mockFields').classList.toggle('show', provider === 'mock');
+}
+
+function updateProviderStatus(aiStatus) {
+  const status = document.getElementById('providerStatus');
+  if (!aiStatus) {
+    status.textContent = '';
+    return;
+  }
+  status.textContent = aiStatus.initialized
+    ? `Connected to ${aiStatus.provider}`
+    : `${aiStatus.provider} unavailable - using offline keyword matching`;
+}
+
+async function saveProviderSettings() {
+  const settings = {
+    modelProvider: document.getElementById('providerSelect').value,
+    localModel: {
+      endpoint: document.getElementById('localEndpoint').value.trim(),
+      model: document.getElementById('localModelName').value.trim(),
+      apiKey: document.getElementById('localApiKey').value
+    }
+  };
+
+  try {
+    const mockResponses = JSON.parse(document.getElementById('mockResponses').value || '[]');
+    if (!Array.isArray(mockResponses)) throw new Error('not an array');
+    settings.mockResponses = mockResponses;
+  } catch (error) {
+    showError('Canned responses must be a JSON array');
+    return;
+  }
+
+  try {
+    document.getElementById('providerStatus').textContent = 'Connecting...';
+    const response = await chrome.runtime.sendMessage({type: WeavesMessageTypes.UPDATE_SETTINGS, settings});
+    if (response && response.success) {
+      updateProviderStatus(response.aiStatus);
+    } else {
+      showError(response?.error || 'Failed to save settings');
+    }
+  } catch (error) {
+    console.error('Failed to save provider settings:', error);
+    showError('Failed to save settings');
+  }
+}
+
+// Lenses and projects
+function getLensOptionsHTML() {
+  return availableLenses.map(lens =>
+    `<option value="${lens.id}">${escapeHTML(lens.label)} (min ${Math.round(lens.minStrength * 100)}%)</option>`
+  ).join('');
+}
+
+function renderProjectOptions(activeProjectId) {
+  const select = document.getElementById('projectSelect');
+  select.innerHTML = '<option value="">No project</option>' + settingsProjects.map(project =>
+    `<option value="${escapeAttribute(project.id)}">${escapeHTML(project.name)}</option>`
+  ).join('');
+  select.value = settingsProjects.some(p => p.id === activeProjectId) ? activeProjectId : '';
+
+  document.getElementById('projectLensSelect').innerHTML =
+    '<option value="">Use default lens</option>' + getLensOptionsHTML();
+  updateProjectFields();
+}
+
+function updateProjectFields() {
+  const project = settingsProjects.find(p => p.id === document.getElementById('projectSelect').value);
+  document.getElementById('projectFields').classList.toggle('show', Boolean(project));
+  document.getElementById('deleteProjectBtn').disabled = !project;
+  if (project) {
+    document.getElementById('projectLensSelect').value = project.lens || '';
+  }
+}
+
+function addProject() {
+  const input = document.getElementById('newProjectName');
+  const name = input.value.trim();
+  if (!name) {
+    showError('Enter a project name');
+    return;
+  }
+
+  const project = { id: 'project-' + Date.now().toString(36), name, lens: '' };
+  settingsProjects.push(project);
+  input.value = '';
+  renderProjectOptions(project.id);
+  saveLensSettings();
+}
+
+function deleteProject() {
+  const projectId = document.getElementById('projectSelect').value;
+  settingsProjects = settingsProjects.filter(p => p.id !== projectId);
+  renderProjectOptions(null);
+  saveLensSettings();
+}
+
+async function saveLensSettings() {
+  const activeProjectId = document.getElementById('projectSelect').value || null;
+  const project = settingsProjects.find(p => p.id === activeProjectId);
+  if (project) {
+    project.lens = document.getElementById('projectLensSelect').value;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: WeavesMessageTypes.UPDATE_SETTINGS,
+      settings: {
+        activeLens: document.getElementById('lensSelect').value,
+        projects: settingsProjects,
+        activeProjectId
+      }
+    });
+    if (response && response.success) {
+      const lensId = project?.lens || response.settings.activeLens;
+      const lens = availableLenses.find(l => l.id === lensId);
+      document.getElementById('lensStatus').textContent =
+        `New pages ${project ? `go to "${project.name}" and ` : ''}use the ${lens ? lens.label : lensId} lens`;
+    } else {
+      showError(response?.error || 'Failed to save lens settings');
+    }
+  } catch (error) {
+    console.error('Failed to save lens settings:', error);
+    showError('Failed to save lens settings');
+  }
+}
+
+async function saveCacheSettings() {
+  const analysisCacheSize = parseInt(document.getElementById('cacheSize').value, 10);
+  const analysisCacheTTLHours = parseInt(document.getElementById('cacheTTL').value, 10);
+  if (!(analysisCacheSize > 0) || !(analysisCacheTTLHours > 0)) {
+    showError('Cache size and duration must be positive numbers');
+    return;
+  }
+
+  try {
+    await chrome.runtime.sendMessage({
+      type: WeavesMessageTypes.UPDATE_SETTINGS,
+      settings: {analysisCacheSize, analysisCacheTTLHours}
+    });
+    await loadDiagnostics();
+  } catch (error) {
+    console.error('Failed to save cache settings:', error);
+    showError('Failed to save cache settings');
+  }
+}
+
+// Current site capture status
+async function loadSiteStatus() {
+  try {
+    const [tab] = await chrome.tabs.query({active: true, currentWindow: true});
+    if (!tab) return;
+    const response = await chrome.runtime.sendMessage({
+      type: WeavesMessageTypes.GET_SITE_STATUS,
+      url: tab.url,
+      incognito: tab.incognito
+    });
+    renderSiteStatus(tab, response);
+  } catch (error) {
+    console.error('Failed to load site status:', error);
+    document.getElementById('siteStatusText').textContent = 'Capture status unavailable';
+  }
+}
+
+function renderSiteStatus(tab, response) {
+  const container = document.getElementById('siteStatus');
+  const text = document.getElementById('siteStatusText');
+  const actions = document.getElementById('siteStatusActions');
+  if (!response || !response.decision) return;
+
+  const { site, decision } = response;
+  const until = decision.until ? new Date(decision.until).toLocaleTimeString([], {hour: '2-digit', minute: '2-digit'}) : '';
+  const statusText = {
+    'capturing': `● Capturing ${site}`,
+    'allowed': `● Capturing ${site} (allow-listed)`,
+    'paused-site': `❚❚ Paused on ${site}`,
+    'paused-everywhere': `❚❚ Paused everywhere until ${until}`,
+    'blocked': `✕ ${site} is blocked`,
+    'blocked-default': `✕ ${decision.reason}`,
+    'not-allowlisted': `✕ ${site} is not on your allow list`,
+    'incognito': '✕ Incognito tabs are never captured',
+    'unsupported': 'This page is never captured'
+  };
+
+  text.textContent = statusText[decision.status] || decision.reason;
+  container.classList.toggle('blocked', ['blocked', 'blocked-default', 'not-allowlisted', 'incognito'].includes(decision.status));
+  container.classList.toggle('paused', decision.status.startsWith('paused'));
+
+  if (decision.status === 'incognito' || decision.status === 'unsupported') {
+    actions.innerHTML = '';
+    return;
+  }
+
+  const buttons = [];
+  if (decision.status === 'paused-everywhere') {
+    buttons.push(['resume-everywhere', 'Resume everywhere']);
+  } else {
+    buttons.push(decision.status === 'paused-site' ? ['resume-site', 'Resume on this site'] : ['pause-site', 'Pause on this site']);
+    buttons.push(['pause-everywhere', 'Pause everywhere 1h']);
+  }
+  if (decision.status === 'blocked') {
+    buttons.push(['reset-site', 'Unblock']);
+  } else if (decision.status === 'blocked-default' || decision.status === 'not-allowlisted') {
+    buttons.push(['allow-site', 'Allow this site']);
+  } else if (decision.status === 'allowed') {
+    buttons.push(['reset-site', 'Remove from allow list']);
+  } else if (decision.status === 'capturing') {
+    buttons.push(['block-site', 'Block this site']);
+  }
+
+  actions.innerHTML = buttons.map(([action, label]) =>
+    `<button class="btn btn-secondary" data-site-action="${action}">${label}</button>`
+  ).join('');
+  actions.querySelectorAll('[data-site-action]').forEach(button => {
+    button.addEventListener('click', () => updateSitePolicy(tab, button.dataset.siteAction));
+  });
+}
+
+async function updateSitePolicy(tab, action) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: WeavesMessageTypes.UPDATE_SITE_POLICY,
+      action: action,
+      url: tab.url,
+      incognito: tab.incognito
+    });
+    if (response && response.success) {
+      renderSiteStatus(tab, response);
+    } else {
+      showError(response?.error || 'Failed to update site');
+    }
+  } catch (error) {
+    console.error('Failed to update site policy:', error);
+    showError('Failed to update site');
+  }
+}
+
+async function savePrivacySettings() {
+  const lines = id => document.getElementById(id).value
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+
+  const settings = {
+    captureMode: document.getElementById('captureMode').value,
+    captureAllowList: lines('captureAllowList'),
+    captureBlockList: lines('captureBlockList'),
+    defaultBlockCategories: Array.from(document.querySelectorAll('#privacyCategories input:checked'))
+      .map(input => input.dataset.category),
+    piiRedactionCategories: Array.from(document.querySelectorAll('#piiCategories input:checked'))
+      .map(input => input.dataset.piiCategory)
+  };
+
+  try {
+    const response = await chrome.runtime.sendMessage({type: WeavesMessageTypes.UPDATE_SETTINGS, settings});
+    if (!response || !response.success) {
+      showError(response?.error || 'Failed to save privacy rules');
+      return;
+    }
+    loadSiteStatus();
+  } catch (error) {
+    console.error('Failed to save privacy settings:', error);
+    showError('Failed to save privacy rules');
+  }
+}
+
+async function saveSafetySettings() {
+  try {
+    await chrome.runtime.sendMessage({
+      type: WeavesMessageTypes.UPDATE_SETTINGS,
+      settings: {includeSuspiciousContent: document.getElementById('includeSuspicious').checked}
+    });
+  } catch (error) {
+    console.error('Failed to save safety settings:', error);
+    showError('Failed to save settings');
+  }
+}
+
+async function clearAnalysisCache() {
+  try {
+    await chrome.runtime.sendMessage({type: WeavesMessageTypes.CLEAR_ANALYSIS_CACHE});
+    await loadDiagnostics();
+  } catch (error) {
+    console.error('Failed to clear analysis cache:', error);
+    showError('Failed to clear cache');
+  }
+}
+
+// Sync of pins, notes and settings across devices
+function formatSyncTime(timestamp) {
+  const minutes = Math.round((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  return new Date(timestamp).toLocaleString();
+}
+
+async function loadSyncStatus() {
+  try {
+    const response = await chrome.runtime.sendMessage({type: WeavesMessageTypes.GET_SYNC_STATUS});
+    if (response?.sync) renderSyncStatus(response.sync);
+  } catch (error) {
+    console.error('Failed to load sync status:', error);
+  }
+}
+
+function renderSyncStatus(sync) {
+  const conflicts = sync.conflicts || [];
+  const indicator = document.getElementById('syncIndicator');
+  indicator.classList.toggle('conflict', conflicts.length > 0);
+  indicator.classList.toggle('error', Boolean(sync.lastError));
+  if (!sync.enabled) {
+    indicator.textContent = '';
+  } else if (sync.lastError) {
+    indicator.textContent = '⚠ Sync failed';
+  } else {
+    indicator.textContent = (sync.lastSyncAt ? `⟳ Synced ${formatSyncTime(sync.lastSyncAt)}` : '⟳ Not synced yet') +
+      (conflicts.length > 0 ? ` · ${conflicts.length} conflict${conflicts.length === 1 ? '' : 's'}` : '');
+  }
+
+  const content = document.getElementById('syncStatusContent');
+  if (!content) return;
+  const lastSync = sync.lastSyncAt ? new Date(sync.lastSyncAt).toLocaleString() : 'Never';
+  content.innerHTML = !sync.enabled ? 'Sync is off' : `
+    <div>Last sync: ${escapeHTML(sync.syncing ? 'in progress' : lastSync)}</div>
+    <div>${sync.items} item${sync.items === 1 ? '' : 's'} · ${Math.round(sync.bytes / 1024)} of ${Math.round(sync.quotaBytes / 1024)} KB</div>
+    ${sync.lastError ? `<div>Failed: ${escapeHTML(sync.lastError)}</div>` : ''}
+  `;
+
+  const conflictList = document.getElementById('syncConflicts');
+  conflictList.classList.toggle('show', conflicts.length > 0);
+  conflictList.innerHTML = conflicts.length === 0 ? '' : `
+    <div class="settings-status">Changed here and on another device since the last sync; the later change was kept:</div>
+    ${conflicts.map(conflict => `
+      <div class="detail-text">${escapeHTML(conflict.label)} ${escapeHTML(conflict.kind === 'setting' ? conflict.id : '')}
+        · kept ${conflict.kept === 'remote' ? 'the other device\'s' : 'this device\'s'} version
+        · ${escapeHTML(new Date(conflict.at).toLocaleString())}</div>
+    `).join('')}
+  `;
+  document.getElementById('clearSyncConflictsBtn').disabled = conflicts.length === 0;
+}
+
+async function saveSyncEnabled() {
+  try {
+    await chrome.runtime.sendMessage({
+      type: WeavesMessageTypes.UPDATE_SETTINGS,
+      settings: {syncEnabled: document.getElementById('syncEnabled').checked}
+    });
+    await loadSyncStatus();
+  } catch (error) {
+    console.error('Failed to save sync settings:', error);
+    showError('Failed to save settings');
+  }
+}
+
+async function syncNow() {
+  const button = document.getElementById('syncNowBtn');
+  button.disabled = true;
+  try {
+    const response = await chrome.runtime.sendMessage({type: WeavesMessageTypes.SYNC_NOW});
+    if (response?.sync) renderSyncStatus(response.sync);
+    if (!response || !response.success) {
+      showError(response?.error || response?.sync?.lastError || 'Sync failed');
+      return;
+    }
+    await loadConnectionsData(true);
+  } catch (error) {
+    console.error('Failed to sync:', error);
+    showError('Sync failed');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+async function clearSyncConflicts() {
+  try {
+    const response = await chrome.runtime.sendMessage({type: WeavesMessageTypes.CLEAR_SYNC_CONFLICTS});
+    if (response?.sync) renderSyncStatus(response.sync);
+  } catch (error) {
+    console.error('Failed to clear sync conflicts:', error);
+  }
+}
+
+// Encrypted backup and restore
+const RESTORE_LABELS = {
+  documents: ['page', 'pages'],
+  connections: ['connection', 'connections'],
+  pinnedConnections: ['pin', 'pins'],
+  notes: ['note', 'notes'],
+  archives: ['past day', 'past days'],
+  feedback: ['vote', 'votes']
+};
+
+function countLabel(kind, count) {
+  return `${count} ${RESTORE_LABELS[kind][count === 1 ? 0 : 1]}`;
+}
+
+async function createBackup() {
+  const passphrase = document.getElementById('backupPassphrase').value;
+  const status = document.getElementById('backupStatus');
+  if (passphrase.length < 8) {
+    status.textContent = 'Use a passphrase of at least 8 characters.';
+    return;
+  }
+  if (passphrase !== document.getElementById('backupPassphraseConfirm').value) {
+    status.textContent = 'The passphrases don\'t match.';
+    return;
+  }
+
+  const button = document.getElementById('createBackupBtn');
+  button.disabled = true;
+  status.textContent = 'Encrypting...';
+  try {
+    const response = await chrome.runtime.sendMessage({type: WeavesMessageTypes.CREATE_BACKUP, passphrase});
+    if (!response || !response.success) {
+      status.textContent = response?.error || 'Backup failed';
+      return;
+    }
+    downloadBlob(new Blob([response.content], {type: response.mimeType}), `weaves-backup-${response.date}.json`);
+    document.getElementById('backupPassphrase').value = '';
+    document.getElementById('backupPassphraseConfirm').value = '';
+    status.textContent = `Backed up ${countLabel('documents', response.documents)}, ` +
+      `${countLabel('connections', response.connections)} and ${countLabel('archives', response.archives)}.`;
+  } catch (error) {
+    console.error('Failed to create backup:', error);
+    status.textContent = 'Backup failed';
+  } finally {
+    button.disabled = false;
+  }
+}
+
+// A checked backup is restored as previewed; choosing another file needs a new check
+function resetRestorePreview() {
+  document.getElementById('restoreChoices').classList.remove('show');
+  document.getElementById('backupStatus').textContent = '';
+}
+
+async function getRestoreMessage(type) {
+  const file = document.getElementById('restoreFile').files[0];
+  if (!file) return null;
+  return {
+    type,
+    backup: await file.text(),
+    passphrase: document.getElementById('restorePassphrase').value
+  };
+}
+
+async function previewBackup() {
+  const status = document.getElementById('backupStatus');
+  resetRestorePreview();
+  try {
+    const message = await getRestoreMessage(WeavesMessageTypes.PREVIEW_BACKUP);
+    if (!message) {
+      status.textContent = 'Choose a backup file first.';
+      return;
+    }
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response || !response.success) {
+      status.textContent = response?.error || 'Could not read the backup';
+      return;
+    }
+
+    const preview = response.preview;
+    const rows = Object.entries(preview.counts).map(([kind, count]) =>
+      `<div>${escapeHTML(countLabel(kind, count.inBackup))} · ${count.added} new here · ${count.onDevice} on this device</div>`);
+    document.getElementById('restorePreview').innerHTML = `
+      <div>Backup from ${escapeHTML(new Date(preview.createdAt).toLocaleString())}</div>
+      ${preview.sameDay ? '' : `<div>Its pages from ${escapeHTML(formatArchiveDate(preview.date))} will be restored as that past day.</div>`}
+      ${rows.join('')}
+      <div>Merge adds only the new items. Replace also restores the backup's ${preview.settings} settings.</div>
+    `;
+    document.getElementById('restoreChoices').classList.add('show');
+  } catch (error) {
+    console.error('Failed to check backup:', error);
+    status.textContent = 'Could not read the backup';
+  }
+}
+
+async function restoreBackup() {
+  const status = document.getElementById('backupStatus');
+  const mode = document.getElementById('restoreMode').value;
+  if (mode === 'replace' && !confirm('Replace all pages, connections, pins, notes and settings on this device with the backup?')) return;
+
+  const button = document.getElementById('restoreBtn');
+  button.disabled = true;
+  try {
+    const message = await getRestoreMessage(WeavesMessageTypes.RESTORE_BACKUP);
+    if (!message) return;
+    const response = await chrome.runtime.sendMessage({...message, mode});
+    if (!response || !response.success) {
+      status.textContent = response?.error || 'Restore failed';
+      return;
+    }
+    document.getElementById('restoreChoices').classList.remove('show');
+    document.getElementById('restorePassphrase').value = '';
+    status.textContent = mode === 'replace' ? 'Backup restored.' : 'Backup merged.';
+    await loadSettings();
+    await loadConnectionsData(true);
+  } catch (error) {
+    console.error('Failed to restore backup:', error);
+    status.textContent = 'Restore failed';
+  } finally {
+    button.disabled = false;
+  }
+}
+
+// Import from bookmarks and history
+function getImportSources() {
+  return {
+    bookmarks: document.getElementById('importBookmarks').checked,
+    historyDays: Number(document.getElementById('importHistoryDays').value)
+  };
+}
+
+// Must run straight from a click: Chrome only shows the permission prompt during a user gesture
+async function requestImportPermissions(sources) {
+  const permissions = [...(sources.bookmarks ? ['bookmarks'] : []), ...(sources.historyDays > 0 ? ['history'] : [])];
+  if (permissions.length === 0) {
+    showError('Choose bookmarks or a history period');
+    return false;
+  }
+  const granted = await chrome.permissions.request({permissions});
+  if (!granted) {
+    showError('Weaves needs permission to read them');
+  }
+  return granted;
+}
+
+async function previewImport() {
+  const sources = getImportSources();
+  if (!await requestImportPermissions(sources)) return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({type: WeavesMessageTypes.IMPORT_PREVIEW, ...sources});
+    if (!response || !response.success) {
+      showError(response?.error || 'Failed to read bookmarks and history');
+      return;
+    }
+
+    const checkbox = (attribute, value, label, count) => `
+      <label class="settings-checkbox">
+        <input type="checkbox" ${attribute}="${escapeHTML(value)}">
+        ${escapeHTML(label)} (${count})
+      </label>
+    `;
+    document.getElementById('importFolders').innerHTML = response.folders.length === 0 ? '' :
+      '<div class="settings-label">Bookmark folders</div>' +
+      response.folders.map(folder => checkbox('data-import-folder', folder.id, folder.path, folder.count)).join('');
+    document.getElementById('importDomains').innerHTML = response.domains.length === 0 ? '' :
+      '<div class="settings-label">Sites</div>' +
+      response.domains.map(site => checkbox('data-import-domain', site.domain, site.domain, site.count)).join('');
+
+    document.getElementById('importChoices').classList.add('show');
+    document.getElementById('importBtn').disabled = response.total === 0;
+    document.getElementById('importStatus').textContent = `${response.total} page${response.total === 1 ? '' : 's'} found`;
+  } catch (error) {
+    console.error('Failed to preview import:', error);
+    showError('Failed to read bookmarks and history');
+  }
+}
+
+async function runImport() {
+  const sources = getImportSources();
+  if (!await requestImportPermissions(sources)) return;
+
+  const checked = attribute => Array.from(document.querySelectorAll(`[${attribute}]:checked`))
+    .map(input => input.getAttribute(attribute));
+  const button = document.getElementById('importBtn');
+  try {
+    button.disabled = true;
+    const response = await chrome.runtime.sendMessage({
+      type: WeavesMessageTypes.IMPORT_SOURCES,
+      ...sources,
+      folderIds: checked('data-import-folder'),
+      domains: checked('data-import-domain')
+    });
+    if (!response || !response.success) {
+      showError(response?.error || 'Import failed');
+      return;
+    }
+
+    const skipped = [
+      response.known > 0 ? `${response.known} already read today` : '',
+      response.blocked > 0 ? `${response.blocked} blocked by your capture rules` : '',
+      response.overLimit > 0 ? `${response.overLimit} over the limit for one import` : ''
+    ].filter(Boolean).join(', ');
+    document.getElementById('importStatus').textContent =
+      `Queued ${response.queued} page${response.queued === 1 ? '' : 's'} for analysis${skipped ? ` · skipped ${skipped}` : ''}`;
+  } catch (error) {
+    console.error('Failed to import:', error);
+    showError('Import failed');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+async function saveImportFetch() {
+  try {
+    await chrome.runtime.sendMessage({
+      type: WeavesMessageTypes.UPDATE_SETTINGS,
+      settings: {importFetchEnabled: document.getElementById('importFetch').checked}
+    });
+  } catch (error) {
+    console.error('Failed to save import settings:', error);
+    showError('Failed to save settings');
+  }
+}
+
+// Markdown and graph export
+const EXPORT_HINTS = {
+  markdown: 'One note per page with [[wikilinks]] between connected pages; open the folder as an Obsidian vault.',
+  graphml: 'Pages as nodes and connections as directed edges, with their attributes.',
+  gexf: 'Pages as nodes and connections as directed edges weighted by strength.',
+  jsonld: 'Pages as schema.org WebPages, connections as linked records between them.',
+  bibtex: 'One entry per page, with its connections\' reasons as annotations.',
+  csl: 'One item per page, with its connections\' reasons as notes.',
+  ris: 'One record per page, with a note for each of its connections.'
+};
+const CITATION_FORMATS = ['bibtex', 'csl', 'ris'];
+const EXPORT_FORMAT_LABELS = {bibtex: 'BibTeX', csl: 'CSL-JSON', ris: 'RIS'};
+
+async function loadExportOptions() {
+  const archivesResponse = await chrome.runtime.sendMessage({type: WeavesMessageTypes.GET_ARCHIVES});
+  const archives = archivesResponse?.archives || [];
+  document.getElementById('exportDateSelect').innerHTML = archives.map(archive =>
+    `<option value="${archive.date}">${formatArchiveDate(archive.date)} · ${archive.documents} page${archive.documents === 1 ? '' : 's'}</option>`
+  ).join('');
+  document.getElementById('exportProjectSelect').innerHTML = settingsProjects.map(project =>
+    `<option value="${escapeAttribute(project.id)}">${escapeHTML(project.name)}</option>`
+  ).join('');
+  updateExportFields();
+}
+
+function updateExportFields() {
+  const scope = document.getElementById('exportScope').value;
+  document.getElementById('exportDateFields').classList.toggle('show', scope === 'day');
+  document.getElementById('exportProjectFields').classList.toggle('show', scope === 'project');
+  document.getElementById('exportHint').textContent = EXPORT_HINTS[document.getElementById('exportFormat').value] || '';
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function getExportMessage(format, scope) {
+  if (format === 'markdown') return {type: WeavesMessageTypes.EXPORT_MARKDOWN, scope};
+  if (CITATION_FORMATS.includes(format)) return {type: WeavesMessageTypes.EXPORT_CITATIONS, format, scope};
+  return {type: WeavesMessageTypes.EXPORT_GRAPH, format, scope};
+}
+
+async function exportSelection() {
+  const scope = document.getElementById('exportScope').value;
+  const format = document.getElementById('exportFormat').value;
+  const message = getExportMessage(format, scope);
+  if (scope === 'day') {
+    message.date = document.getElementById('exportDateSelect').value;
+    if (!message.date) {
+      showError('No past days archived yet');
+      return;
+    }
+  } else if (scope === 'project') {
+    message.projectId = document.getElementById('exportProjectSelect').value;
+    if (!message.projectId) {
+      showError('Add a project first');
+      return;
+    }
+  }
+
+  const button = document.getElementById('exportBtn');
+  try {
+    button.disabled = true;
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response || !response.success) {
+      showError(response?.error || 'Export failed');
+      return;
+    }
+    if (response.documents === 0) {
+      showError('Nothing to export');
+      return;
+    }
+
+    const filename = `weaves-${scope}-${message.date || new Date().toISOString().substring(0, 10)}`;
+    if (format === 'markdown') {
+      // Zipped here rather than in the worker, which can't create object URLs for downloads
+      downloadBlob(new Blob([WeavesZip.build(response.files)], {type: 'application/zip'}), filename + '.zip');
+    } else {
+      downloadBlob(new Blob([response.content], {type: response.mimeType}), `${filename}.${response.extension}`);
+    }
+  } catch (error) {
+    console.error('Failed to export:', error);
+    showError('Export failed');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+async function exportConnectionCitation(connectionId, format) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: WeavesMessageTypes.EXPORT_CITATIONS,
+      format,
+      scope: 'connection',
+      connectionId
+    });
+    if (!response || !response.success) {
+      showError(response?.error || 'Export failed');
+      return;
+    }
+    downloadBlob(new Blob([response.content], {type: response.mimeType}),
+      `weaves-citations-${new Date().toISOString().substring(0, 10)}.${response.extension}`);
+  } catch (error) {
+    console.error('Failed to export citations:', error);
+    showError('Export failed');
+  }
+}
+
+async function loadMaintenanceStatus() {
+  const container = document.getElementById('maintenanceContent');
+  try {
+    const response = await chrome.runtime.sendMessage({type: WeavesMessageTypes.GET_MAINTENANCE_STATUS});
+    if (!response || !response.jobs) {
+      container.textContent = 'Maintenance status unavailable';
+      return;
+    }
+
+    container.innerHTML = response.jobs.map(job => {
+      const lastRun = job.lastRun ? new Date(job.lastRun).toLocaleString() : 'Not run yet';
+      const outcome = job.outcome === 'error' ? ` · failed: ${escapeHTML(job.error || 'unknown error')}` : '';
+      const nextRun = job.nextRun ? ` · next ${new Date(job.nextRun).toLocaleString()}` : '';
+      return `<div>${escapeHTML(job.label)}: ${lastRun}${outcome}${nextRun}</div>`;
+    }).join('');
+  } catch (error) {
+    console.error('Failed to load maintenance status:', error);
+    container.textContent = 'Maintenance status unavailable';
+  }
+}
+
+async function loadDiagnostics() {
+  const container = document.getElementById('diagnosticsContent');
+  try {
+    const response = await chrome.runtime.sendMessage({type: WeavesMessageTypes.GET_DIAGNOSTICS});
+    if (!response) {
+      container.textContent = 'Diagnostics unavailable';
+      return;
+    }
+
+    const cache = response.cache || {};
+    const queue = response.queue || {};
+    const rejections = response.rejections || [];
+    const suspicious = response.suspiciousContent || [];
+
+    container.innerHTML = `
+      <div>Analysis cache: ${cache.hits || 0} hits / ${cache.misses || 0} misses (${Math.round((cache.hitRate || 0) * 100)}% hit rate)</div>
+      <div>Cached pages: ${cache.size || 0} of ${cache.maxEntries || 0}, kept ${cache.ttlHours || 0}h</div>
+      <div>Queue: ${queue.running || 0} running, ${queue.pending || 0} waiting, ${queue.failed || 0} failed</div>
+      <div>Rejected model responses: ${rejections.length}${rejections[0] ? ` (latest: ${escapeHTML(rejections[0].reason)})` : ''}</div>
+      <div>Suspicious pages: ${suspicious.length}</div>
+      ${suspicious.map(item => `
+        <div class="history-entry">
+          <div class="history-meta">⚠ ${escapeHTML(item.reasons.join(', '))}</div>
+          <div>${escapeHTML(item.title || item.url)}</div>
+        </div>
+      `).join('')}
+    `;
+  } catch (error) {
+    console.error('Failed to load diagnostics:', error);
+    container.textContent = 'Diagnostics unavailable';
+  }
+}
+
+async function loadFeedbackStats() {
+  const container = document.getElementById('feedbackStatsContent');
+  try {
+    const response = await chrome.runtime.sendMessage({type: WeavesMessageTypes.GET_FEEDBACK_STATS});
+    const stats = response?.stats;
+    if (!stats || stats.total === 0) {
+      container.textContent = 'No feedback yet. Rate connections with 👍 / 👎 to tune future suggestions.';
+      return;
+    }
+
+    // Lowest-scoring first, so what is being down-weighted is at the top
+    const list = (title, entries, format = key => key) => entries.length === 0 ? '' : `
+      <div class="history-entry">
+        <div class="history-meta">${title}</div>
+        ${entries.map(e => `<div>${escapeHTML(format(e.key))}: ${e.up} 👍 / ${e.down} 👎</div>`).join('')}
+      </div>`;
+
+    container.innerHTML = `
+      <div>${stats.total} rated: ${stats.up} useful, ${stats.down} not useful</div>
+      ${list('Domain pairs', stats.domainPairs)}
+      ${list('Relationship types', stats.types, key => WeavesConnectionTypes.label(key))}
+      ${list('Lenses', stats.lenses, key => WeavesAnalysisLenses.label(key))}
+      ${list('Reason terms', stats.reasonTerms)}
+    `;
+  } catch (error) {
+    console.error('Failed to load feedback stats:', error);
+    container.textContent = 'Feedback stats unavailable';
+  }
+}
+
+async function resetFeedback() {
+  if (!confirm('Forget all feedback? Future suggestions will no longer be tuned by it.')) return;
+
+  try {
+    await chrome.runtime.sendMessage({type: WeavesMessageTypes.RESET_FEEDBACK});
+    [...currentConnections, ...pinnedConnections].forEach(c => delete c.feedback);
+    await loadFeedbackStats();
+  } catch (error) {
+    console.error('Failed to reset feedback:', error);
+    showError('Failed to reset feedback');
+  }
+}
+
+// History of past days
+function formatArchiveDate(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString([], {weekday: 'short', month: 'short', day: 'numeric'});
+}
+
+async function loadArchives() {
+  const select = document.getElementById('archiveDateSelect');
+  try {
+    const [archivesResponse, settingsResponse] = await Promise.all([
+      chrome.runtime.sendMessage({type: WeavesMessageTypes.GET_ARCHIVES}),
+      chrome.runtime.sendMessage({type: WeavesMessageTypes.GET_SETTINGS})
+    ]);
+
+    const archives = archivesResponse?.archives || [];
+    const selected = select.value;
+    select.innerHTML = '<option value="">All past days</option>' + archives.map(archive => `
+      <option value="${archive.date}">${formatArchiveDate(archive.date)} · ${archive.connections} connection${archive.connections === 1 ? '' : 's'}</option>
+    `).join('');
+    if (archives.some(archive => archive.date === selected)) {
+      select.value = selected;
+    }
+
+    document.getElementById('includeArchives').checked = Boolean(settingsResponse?.settings?.includeArchivesInDiscovery);
+    await searchArchives();
+  } catch (error) {
+    console.error('Failed to load archives:', error);
+    showError('Failed to load history');
+  }
+}
+
+async function searchArchives() {
+  const container = document.getElementById('archiveList');
+  const date = document.getElementById('archiveDateSelect').value;
+  const query = document.getElementById('archiveSearch').value.trim();
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: WeavesMessageTypes.SEARCH_ARCHIVES,
+      query: query,
+      ...(date ? {date} : {})
+    });
+    const connections = response?.connections || [];
+
+    if (connections.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state">
+          <div class="empty-state-icon">🕘</div>
+          <div>${query ? 'No archived connections match' : 'No past days archived yet'}</div>
+          <div style="font-size: 11px; margin-top: 6px; opacity: 0.6;">Each day is archived at the daily reset</div>
+        </div>
+      `;
+      return;
+    }
+
+    container.innerHTML = connections.map(connection => `
+      <div class="connection-item">
+        <div class="connection-header">
+          <div class="connection-meta">
+            <span class="connection-strength">${Math.round(connection.strength * 100)}%</span>
+            <span class="connection-seen">${formatArchiveDate(connection.archivedDate)}</span>
+          </div>
+          <div class="connection-actions">
+            <button class="pin-btn" data-archive-date="${connection.archivedDate}" data-connection-id="${escapeHTML(connection.id)}" title="Restore to today">↩</button>
+          </div>
+        </div>
+        <div class="connection-type" style="color: ${WeavesConnectionTypes.color(connection.type)}">${escapeHTML(WeavesConnectionTypes.label(connection.type))}</div>
+        <div class="connection-reason">${escapeHTML(connection.reason)}</div>
+        <div class="connection-platforms">${escapeHTML(getDirectionText(connection))}</div>
+      </div>
+    `).join('');
+
+    container.querySelectorAll('[data-archive-date]').forEach(button => {
+      button.addEventListener('click', () => restoreArchivedConnection(button.dataset.archiveDate, button.dataset.connectionId));
+    });
+  } catch (error) {
+    console.error('Failed to search archives:', error);
+    container.textContent = 'History unavailable';
+  }
+}
+
+async function restoreArchivedConnection(date, connectionId) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: WeavesMessageTypes.RESTORE_ARCHIVED_CONNECTION,
+      date: date,
+      connectionId: connectionId
+    });
+    if (!response || !response.success) {
+      showError(response?.error || 'Failed to restore connection');
+      return;
+    }
+
+    await loadConnectionsData();
+    showMainView();
+  } catch (error) {
+    console.error('Failed to restore connection:', error);
+    showError('Failed to restore connection');
+  }
+}
+
+async function saveArchiveDiscovery() {
+  try {
+    await chrome.runtime.sendMessage({
+      type: WeavesMessageTypes.UPDATE_SETTINGS,
+      settings: {includeArchivesInDiscovery: document.getElementById('includeArchives').checked}
+    });
+  } catch (error) {
+    console.error('Failed to save history settings:', error);
+    showError('Failed to save settings');
+  }
+}
+
+function escapeHTML(text) {
+  const div = document.createElement('div');
+  div.textContent = text == null ? '' : String(text);
+  return div.innerHTML;
+}
+
+// innerHTML leaves quotes alone, so values placed in attributes need them escaped too
+function escapeAttribute(text) {
+  return escapeHTML(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
 // Data loading with proper error handling and cache clearing
 async function loadConnectionsData(silent = false) {
   if (isRefreshing && !silent) return;
@@ -61,7 +1125,7 @@ async function loadConnectionsData(silent = false) {
     isRefreshing = true;
     if (!silent) document.body.classList.add('loading');
     
-    const response = await chrome.runtime.sendMessage({type: 'GET_CONNECTIONS'});
+    const response = await chrome.runtime.sendMessage({type: WeavesMessageTypes.GET_CONNECTIONS});
     
     if (!response) {
       console.error('No response from background script');
@@ -119,6 +1183,19 @@ function updateStats(response) {
   document.getElementById('pageCount').textContent = response.content?.length || 0;
   document.getElementById('insightCount').textContent = 
     currentConnections.filter(c => c.strength >= 0.7).length || 0;
+  updateQueueStatus(response.queue);
+}
+
+function updateQueueStatus(queue) {
+  const queueItem = document.getElementById('queueStat');
+  if (!queueItem) return;
+
+  const depth = queue?.depth || 0;
+  document.getElementById('queueCount').textContent = depth;
+  queueItem.classList.toggle('active', depth > 0);
+  queueItem.title = queue
+    ? `${queue.running} analyzing, ${queue.pending} waiting, ${queue.failed} failed`
+    : 'Analysis queue unavailable';
 }
 
 function updatePinnedHeader() {
@@ -140,6 +1217,7 @@ function displayConnections() {
   
   // Update controls visibility based on data
   updateControlsVisibility();
+  renderTypeFilter('typeFilter', currentConnections);
   
   if (currentConnections.length === 0) {
     container.innerHTML = `
@@ -152,8 +1230,14 @@ function displayConnections() {
     return;
   }
 
+  const filtered = filterByType(currentConnections);
+  if (filtered.length === 0) {
+    container.innerHTML = getFilteredEmptyHTML();
+    return;
+  }
+
   // Show recent connections (limit to 12)
-  const recentConnections = currentConnections.slice(0, 12);
+  const recentConnections = filtered.slice(0, 12);
   
   container.innerHTML = recentConnections.map(connection => 
     createConnectionHTML(connection, false)
@@ -162,6 +1246,58 @@ function displayConnections() {
   attachConnectionEventListeners(container);
 }
 
+// Type filter chips, only for types that actually occur in the list
+function renderTypeFilter(containerId, connections) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  const counts = {};
+  connections.forEach(connection => {
+    const key = WeavesConnectionTypes.isKnown(connection.type) ? connection.type : 'unclassified';
+    counts[key] = (counts[key] || 0) + 1;
+  });
+
+  const keys = [...WeavesConnectionTypes.keys(), 'unclassified'].filter(key => counts[key]);
+  if (keys.length < 2 && currentTypeFilter === 'all') {
+    container.innerHTML = '';
+    return;
+  }
+
+  const chip = (key, label, color) => `
+    <button class="type-chip${currentTypeFilter === key ? ' active' : ''}" data-type="${key}"
+      ${color ? `style="border-color: ${color}"` : ''}>${escapeHTML(label)}${counts[key] ? ` ${counts[key]}` : ''}</button>`;
+
+  container.innerHTML = chip('all', 'All', null) +
+    keys.map(key => chip(key, WeavesConnectionTypes.label(key), WeavesConnectionTypes.color(key))).join('');
+
+  container.querySelectorAll('.type-chip').forEach(button => {
+    button.addEventListener('click', () => {
+      currentTypeFilter = button.dataset.type;
+      if (currentView === 'pinned') {
+        displayPinnedConnections();
+      } else {
+        displayConnections();
+      }
+    });
+  });
+}
+
+function filterByType(connections) {
+  if (currentTypeFilter === 'all') return connections;
+  return connections.filter(connection => currentTypeFilter === 'unclassified'
+    ? !WeavesConnectionTypes.isKnown(connection.type)
+    : connection.type === currentTypeFilter);
+}
+
+function getFilteredEmptyHTML() {
+  return `
+    <div class="empty-state">
+      <div>No ${escapeHTML(WeavesConnectionTypes.label(currentTypeFilter))} connections</div>
+      <div style="font-size: 11px; margin-top: 6px; opacity: 0.6;">Choose another type above</div>
+    </div>
+  `;
+}
+
 function updateControlsVisibility() {
   const controls = document.getElementById('controls');
   
@@ -189,6 +1325,8 @@ function updateControlsVisibility() {
 function displayPinnedConnections() {
   const container = document.getElementById('pinnedConnectionsList');
   if (!container) return;
+
+  renderTypeFilter('pinnedTypeFilter', pinnedConnections);
   
   if (pinnedConnections.length === 0) {
     container.innerHTML = `
@@ -201,7 +1339,13 @@ function displayPinnedConnections() {
     return;
   }
 
-  container.innerHTML = pinnedConnections.map(connection => 
+  const filtered = filterByType(pinnedConnections);
+  if (filtered.length === 0) {
+    container.innerHTML = getFilteredEmptyHTML();
+    return;
+  }
+
+  container.innerHTML = filtered.map(connection => 
     createConnectionHTML(connection, true)
   ).join('');
 
@@ -220,21 +1364,33 @@ function createConnectionHTML(connection, isPinned = false) {
     pinButton = `<button class="pin-btn" data-connection-id="${connectionId}" data-action="pin" title="Pin">📍</button>`;
   }
 
+  const feedbackButtons = ['up', 'down'].map(vote => `<button class="feedback-btn${connection.feedback === vote ? ' active' : ''}" data-connection-id="${connectionId}" data-action="feedback-${vote}" title="${vote === 'up' ? 'Useful' : 'Not useful'}">${vote === 'up' ? '👍' : '👎'}</button>`).join('');
+
   return `
     <div class="${itemClass}" data-connection-id="${connectionId}">
       <div class="connection-header">
-        <span class="connection-strength">${Math.round(connection.strength * 100)}%</span>
+        <div class="connection-meta">
+          <span class="connection-strength">${Math.round(connection.strength * 100)}%</span>
+          ${connection.heuristic ? '<span class="connection-badge" title="Found by keyword matching, not AI">Heuristic</span>' : ''}
+          ${connection.suspicious ? '<span class="connection-badge suspicious" title="One of these pages contains text that tries to instruct the AI">⚠ Suspicious</span>' : ''}
+          ${getRedactionTotal(connection) > 0 ?
+            `<span class="connection-seen" title="Personal details removed from these pages before analysis">🔒 ${getRedactionTotal(connection)}</span>` : ''}
+          ${connection.imported ?
+            '<span class="connection-seen" title="Involves a page imported from bookmarks or history">🔖 Imported</span>' : ''}
+          ${connection.restoredFrom ?
+            `<span class="connection-seen" title="Restored from a past day">↩ ${formatArchiveDate(connection.restoredFrom)}</span>` : ''}
+          ${connection.history && connection.history.length > 1 ?
+            `<span class="connection-seen" title="Found ${connection.history.length} times, strength is the average">×${connection.history.length}</span>` : ''}
+        </div>
         <div class="connection-actions">
+          ${feedbackButtons}
           ${pinButton}
           <button class="delete-btn" data-connection-id="${connectionId}" data-action="delete" title="Delete">×</button>
         </div>
       </div>
-      <div class="connection-type">${getConnectionType(connection)}</div>
-      <div class="connection-reason">${getImprovedSummary(connection)}</div>
-      ${connection.platforms ? 
-        `<div class="connection-platforms">${connection.platforms}</div>` : 
-        `<div class="connection-platforms">${connection.fromTitle || 'Content'} → ${connection.toTitle || 'Content'}</div>`
-    }
+      <div class="connection-type" style="color: ${WeavesConnectionTypes.color(connection.type)}">${escapeHTML(getConnectionType(connection))}</div>
+      <div class="connection-reason">${escapeHTML(getImprovedSummary(connection))}</div>
+      <div class="connection-platforms">${escapeHTML(getDirectionText(connection))}</div>
     </div>
   `;
 }
@@ -245,9 +1401,9 @@ function generateConnectionId(connection) {
     return connection.id;
   }
   
-  // Fallback to manual generation if no ID exists
-  if (connection.from && connection.to && connection.timestamp) {
-    return connection.from + '-' + connection.to + '-' + connection.timestamp;
+  // Fallback to manual generation if no ID exists - one ID per document pair, either direction
+  if (connection.from && connection.to) {
+    return [connection.from, connection.to].sort().join('~');
   }
   
   // If connection is missing required fields, it's invalid
@@ -255,17 +1411,38 @@ function generateConnectionId(connection) {
   return null;
 }
 
+function getRedactionTotal(connection) {
+  const sum = counts => Object.values(counts || {}).reduce((total, n) => total + n, 0);
+  return sum(connection.redactions?.from) + sum(connection.redactions?.to);
+}
+
+function getRedactionHTML(connection) {
+  if (getRedactionTotal(connection) === 0) return '';
+
+  const describe = counts => Object.entries(counts || {})
+    .map(([category, n]) => `${n} × ${escapeHTML(WeavesPiiRedactor.CATEGORIES[category]?.label || category)}`)
+    .join(', ') || 'nothing';
+
+  return `
+    <div class="detail-section">
+      <div class="detail-title">Personal Data Removed</div>
+      <div class="detail-text">
+        ${escapeHTML(connection.fromTitle || 'First page')}: ${describe(connection.redactions.from)}
+        <br>${escapeHTML(connection.toTitle || 'Second page')}: ${describe(connection.redactions.to)}
+      </div>
+    </div>
+  `;
+}
+
 function getConnectionType(connection) {
-  // Determine connection type based on content
-  if (connection.platforms && connection.platforms.includes('→')) {
-    return 'Cross-Platform Insight';
-  } else if (connection.strength >= 0.8) {
-    return 'Strong Connection';
-  } else if (connection.strength >= 0.6) {
-    return 'Related Content';
-  } else {
-    return 'Weak Connection';
-  }
+  const label = WeavesConnectionTypes.label(connection.type);
+  return connection.heuristic ? `${label} (Keyword Match)` : label;
+}
+
+// Reads as a sentence in the stored direction, e.g. "A → supports → B"
+function getDirectionText(connection) {
+  const verb = WeavesConnectionTypes.verb(connection.type);
+  return `${connection.fromTitle || 'Content'} → ${verb} → ${connection.toTitle || 'Content'}`;
 }
 
 function getImprovedSummary(connection) {
@@ -291,12 +1468,27 @@ function displayConnectionDetail(connection) {
 
   // Update detail header
   document.getElementById('detailTitle').textContent = getConnectionType(connection);
-  document.getElementById('detailSubtitle').textContent = `${Math.round(connection.strength * 100)}% Match`;
+  document.getElementById('detailSubtitle').textContent = connection.heuristic
+    ? `${Math.round(connection.strength * 100)}% Keyword Match`
+    : `${Math.round(connection.strength * 100)}% Match`;
+
+  const typeInfo = WeavesConnectionTypes.get(connection.type);
 
   container.innerHTML = `
+    <div class="detail-section">
+      <div class="detail-title">Relationship</div>
+      <div class="detail-text">
+        <strong style="color: ${WeavesConnectionTypes.color(connection.type)}">${escapeHTML(getDirectionText(connection))}</strong>
+        <br>${typeInfo
+          ? `The first page ${escapeHTML(typeInfo.description)} the second.`
+          : 'This connection was found before relationship types were recorded.'}
+        ${connection.lens ? `<br>Found through the ${escapeHTML(WeavesAnalysisLenses.label(connection.lens))} lens.` : ''}
+      </div>
+    </div>
+
     <div class="detail-section">
       <div class="detail-title">Summary</div>
-      <div class="detail-text">${getDetailedAnalysis(connection)}</div>
+      <div class="detail-text">${escapeHTML(getDetailedAnalysis(connection))}</div>
     </div>
 
     <div class="detail-section">
@@ -316,14 +1508,73 @@ function displayConnectionDetail(connection) {
 
     <div class="detail-section">
       <div class="detail-title">Related Content</div>
-      <div class="detail-text">${getRelatedContent(connection)}</div>
+      <div class="detail-text">${escapeHTML(getRelatedContent(connection))}</div>
     </div>
 
+    ${getConnectionHistoryHTML(connection)}
+
+    ${getRedactionHTML(connection)}
+
     <div class="detail-section">
       <div class="detail-title">Why This Matters</div>
       <div class="detail-text">${getWhyThisMatters(connection)}</div>
     </div>
+
+    <div class="detail-section">
+      <div class="detail-title">Your Note</div>
+      <textarea class="settings-input" id="connectionNote" maxlength="2000" placeholder="Why this connection matters to you">${escapeHTML(connection.note || '')}</textarea>
+      <div class="settings-actions">
+        <button class="btn btn-secondary" id="saveNoteBtn">Save Note</button>
+      </div>
+    </div>
+
+    <div class="detail-section">
+      <div class="detail-title">Cite Both Sources</div>
+      <div class="detail-feedback">
+        ${CITATION_FORMATS.map(format => `<button class="btn" data-citation-format="${format}">${EXPORT_FORMAT_LABELS[format]}</button>`).join('')}
+      </div>
+    </div>
+
+    <div class="detail-section">
+      <div class="detail-title">Was This Useful?</div>
+      <div class="detail-feedback">
+        <button class="btn${connection.feedback === 'up' ? ' btn-primary' : ''}" data-vote="up">👍 Useful</button>
+        <button class="btn${connection.feedback === 'down' ? ' btn-primary' : ''}" data-vote="down">👎 Not useful</button>
+      </div>
+    </div>
   `;
+
+  const connectionId = connection.id || generateConnectionId(connection);
+  container.querySelectorAll('[data-vote]').forEach(button => {
+    button.addEventListener('click', () => sendFeedback(connectionId, button.dataset.vote));
+  });
+  container.querySelectorAll('[data-citation-format]').forEach(button => {
+    button.addEventListener('click', () => exportConnectionCitation(connectionId, button.dataset.citationFormat));
+  });
+  document.getElementById('saveNoteBtn').addEventListener('click', () => saveConnectionNote(connectionId));
+}
+
+async function saveConnectionNote(connectionId) {
+  const note = document.getElementById('connectionNote').value;
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: WeavesMessageTypes.SET_CONNECTION_NOTE,
+      connectionId,
+      note
+    });
+    if (!response || !response.success) {
+      showError(response?.error || 'Failed to save note');
+      return;
+    }
+    [...currentConnections, ...pinnedConnections]
+      .filter(c => (c.id || generateConnectionId(c)) === connectionId)
+      .forEach(c => {
+        c.note = response.note;
+      });
+  } catch (error) {
+    console.error('Failed to save note:', error);
+    showError('Failed to save note');
+  }
 }
 
 // Add these helper functions if they don't exist
@@ -424,6 +1675,28 @@ function getContentSources(connection) {
   return `Based on analysis of recent browsing content.`;
 }
 
+function getConnectionHistoryHTML(connection) {
+  const history = connection.history || [];
+  if (history.length < 2) return '';
+
+  const entries = history.slice().reverse().map(entry => `
+    <div class="history-entry">
+      <div class="history-meta">${new Date(entry.timestamp).toLocaleString()} · ${Math.round(entry.strength * 100)}% · ${escapeHTML(WeavesConnectionTypes.label(entry.type))}${entry.lens ? ` · ${escapeHTML(WeavesAnalysisLenses.label(entry.lens))}` : ''}${entry.heuristic ? ' · keyword match' : ''}</div>
+      <div>${escapeHTML(entry.reason)}</div>
+    </div>
+  `).join('');
+
+  return `
+    <div class="detail-section">
+      <div class="detail-title">Found ${history.length} Times</div>
+      <div class="detail-text">
+        Shown strength is the average of these findings.
+        ${entries}
+      </div>
+    </div>
+  `;
+}
+
 function getStrengthExplanation(strength) {
   const percentage = Math.round(strength * 100);
   if (strength >= 0.8) {
@@ -436,6 +1709,10 @@ function getStrengthExplanation(strength) {
 }
 
 function getDetailedAnalysis(connection) {
+  if (connection.heuristic && connection.reason && connection.reason.trim()) {
+    return connection.reason + " This connection was proposed by the offline keyword engine (BM25 scoring over extracted themes, problems and solutions) because Chrome's built-in AI was unavailable, so treat it as a lead rather than an insight.";
+  }
+
   // Use the actual AI reason as the detailed analysis
   if (connection.reason && connection.reason.trim()) {
     return connection.reason + " This connection was identified through AI analysis of the content themes and context.";
@@ -518,6 +1795,10 @@ function handleConnectionClick(e) {
         console.log('Calling deleteConnection');
         deleteConnection(connectionId);
         break;
+      case 'feedback-up':
+      case 'feedback-down':
+        sendFeedback(connectionId, action === 'feedback-up' ? 'up' : 'down');
+        break;
     }
     return;
   }
@@ -535,6 +1816,41 @@ function handleConnectionClick(e) {
 }
 
 // Actions with proper error handling and debugging
+// Clicking the vote that is already set clears it
+async function sendFeedback(connectionId, vote) {
+  const findIn = list => list.find(c => (c.id || generateConnectionId(c)) === connectionId);
+  const connection = findIn(currentConnections) || findIn(pinnedConnections);
+  const nextVote = connection && connection.feedback === vote ? null : vote;
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: WeavesMessageTypes.CONNECTION_FEEDBACK,
+      connectionId: connectionId,
+      vote: nextVote
+    });
+
+    if (!response || !response.success) {
+      showError(response?.error || 'Failed to save feedback');
+      return;
+    }
+
+    [findIn(currentConnections), findIn(pinnedConnections)].forEach(c => {
+      if (c) c.feedback = response.feedback;
+    });
+
+    if (currentView === 'pinned') {
+      displayPinnedConnections();
+    } else if (currentView === 'detail' && connection) {
+      displayConnectionDetail(connection);
+    } else {
+      displayConnections();
+    }
+  } catch (error) {
+    console.error('Failed to send feedback:', error);
+    showError('Failed to save feedback');
+  }
+}
+
 async function togglePin(connectionId, isCurrentlyPinned) {
   try {
     console.log('togglePin called:', { connectionId, isCurrentlyPinned });
@@ -551,7 +1867,7 @@ async function togglePin(connectionId, isCurrentlyPinned) {
     }
     
     const response = await chrome.runtime.sendMessage({
-      type: isCurrentlyPinned ? 'UNPIN_CONNECTION' : 'PIN_CONNECTION',
+      type: isCurrentlyPinned ? WeavesMessageTypes.UNPIN_CONNECTION : WeavesMessageTypes.PIN_CONNECTION,
       connectionId: connectionId
     });
     
@@ -594,7 +1910,7 @@ async function deleteConnection(connectionId) {
     }
     
     const response = await chrome.runtime.sendMessage({
-      type: 'DELETE_CONNECTION',
+      type: WeavesMessageTypes.DELETE_CONNECTION,
       connectionId: connectionId
     });
     
@@ -637,7 +1953,7 @@ async function deleteConnection(connectionId) {
 async function clearAllData() {
   if (confirm('Clear all unpinned data? Pinned connections will be preserved.')) {
     try {
-      await chrome.runtime.sendMessage({type: 'CLEAR_DATA'});
+      await chrome.runtime.sendMessage({type: WeavesMessageTypes.CLEAR_DATA});
       await loadConnectionsData();
       
       if (currentView !== 'main') {
@@ -669,20 +1985,20 @@ async function showVisualization() {
 
     try {
       await chrome.tabs.sendMessage(tab.id, {
-        type: 'SHOW_VISUALIZATION',
+        type: WeavesMessageTypes.SHOW_VISUALIZATION,
         connections: currentConnections
       });
     } catch (contentScriptError) {
       try {
         await chrome.scripting.executeScript({
           target: { tabId: tab.id },
-          files: ['content.js']
+          files: ['message-types.js', 'connection-types.js', 'content.js']
         });
         
         setTimeout(async () => {
           try {
             await chrome.tabs.sendMessage(tab.id, {
-              type: 'SHOW_VISUALIZATION',
+              type: WeavesMessageTypes.SHOW_VISUALIZATION,
               connections: currentConnections
             });
           } catch (retryError) {
@@ -0,0 +1,168 @@
+// Weaves Privacy Policy - Decides whether a page may be captured before any of its text leaves the tab
+const WeavesPrivacyPolicy = {
+  // Built-in blocks, on by default; patterns use the same globs as the user lists
+  DEFAULT_BLOCKS: {
+    banking: {
+      label: 'Banking & payments',
+      patterns: [
+        '*bank*', '*.chase.com', '*.wellsfargo.com', '*.citi.com', '*.capitalone.com', '*.usbank.com',
+        '*.schwab.com', '*.fidelity.com', '*.vanguard.com', '*.americanexpress.com', '*.discover.com',
+        '*.paypal.com', '*.venmo.com', '*.wise.com', '*.revolut.com', '*.monzo.com', '*.hsbc.*', '*.barclays.*'
+      ]
+    },
+    health: {
+      label: 'Health portals',
+      patterns: [
+        '*mychart*', '*patient*portal*', '*.healthcare.gov', '*.kp.org', '*.kaiserpermanente.org',
+        '*.zocdoc.com', '*.onemedical.com', '*.teladoc*', '*.23andme.com', '*.labcorp.com', '*.questdiagnostics.com'
+      ]
+    },
+    mail: {
+      label: 'Email',
+      patterns: [
+        'mail.google.com', 'inbox.google.com', 'outlook.live.com', 'outlook.office.com', 'outlook.office365.com',
+        'mail.yahoo.com', '*.proton.me', 'protonmail.com', '*.protonmail.com', 'mail.aol.com',
+        '*.fastmail.com', '*.zoho.com/mail*', 'www.icloud.com/mail*', '*.hey.com'
+      ]
+    },
+    documents: {
+      label: 'Private documents',
+      patterns: [
+        'docs.google.com', 'drive.google.com', '*.sharepoint.com', 'onedrive.live.com', '*.dropbox.com', '*.notion.so'
+      ]
+    }
+  },
+
+  PAUSE_EVERYWHERE_MS: 60 * 60 * 1000,
+
+  // Normalized host used for per-site pauses and one-click rules
+  siteOf(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '').toLowerCase();
+    } catch (error) {
+      return '';
+    }
+  },
+
+  // "*" matches any run of characters, "?" a single one. Patterns with a "/" are matched
+  // against host + path, others against the host alone; "*.example.com" also covers example.com
+  matches(pattern, url) {
+    const glob = String(pattern || '').trim().toLowerCase().replace(/^[a-z*]+:\/\//, '');
+    if (!glob) return false;
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return false;
+    }
+
+    const host = parsed.hostname.toLowerCase();
+    const target = glob.includes('/') ? host + parsed.pathname.toLowerCase() : host;
+    const toRegExp = g => new RegExp('^' + g.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.') + '$');
+
+    if (toRegExp(glob).test(target) || toRegExp(glob).test(target.replace(/^www\./, ''))) return true;
+    if (glob.startsWith('*.') && toRegExp(glob.slice(2)).test(target.replace(/^www\./, ''))) return true;
+    return false;
+  },
+
+  findMatch(patterns, url) {
+    return (patterns || []).find(pattern => this.matches(pattern, url)) || null;
+  },
+
+  // Returns { allowed, status, reason } - the first rule that applies wins, in this order:
+  // incognito, pause everywhere, paused site, user block list, user allow list, allowlist-only mode, built-in blocks
+  evaluate(url, settings = {}, { incognito = false, now = Date.now() } = {}) {
+    if (incognito) {
+      return { allowed: false, status: 'incognito', reason: 'Incognito tabs are never captured' };
+    }
+
+    if (!/^https?:/i.test(url || '')) {
+      return { allowed: false, status: 'unsupported', reason: 'Only web pages are captured' };
+    }
+
+    if (settings.capturePausedUntil && settings.capturePausedUntil > now) {
+      return {
+        allowed: false,
+        status: 'paused-everywhere',
+        reason: 'Capture paused everywhere',
+        until: settings.capturePausedUntil
+      };
+    }
+
+    const site = this.siteOf(url);
+    if ((settings.pausedSites || []).includes(site)) {
+      return { allowed: false, status: 'paused-site', reason: 'Capture paused on ' + site };
+    }
+
+    const blocked = this.findMatch(settings.captureBlockList, url);
+    if (blocked) {
+      return { allowed: false, status: 'blocked', reason: 'Blocked by your rule ' + blocked, rule: blocked };
+    }
+
+    const allowed = this.findMatch(settings.captureAllowList, url);
+    if (allowed) {
+      return { allowed: true, status: 'allowed', reason: 'Allowed by your rule ' + allowed, rule: allowed };
+    }
+
+    if (settings.captureMode === 'allowlist') {
+      return { allowed: false, status: 'not-allowlisted', reason: 'Only allow-listed sites are captured' };
+    }
+
+    for (const category of settings.defaultBlockCategories || []) {
+      const block = this.DEFAULT_BLOCKS[category];
+      const rule = block && this.findMatch(block.patterns, url);
+      if (rule) {
+        return { allowed: false, status: 'blocked-default', reason: block.label + ' sites are blocked by default', rule };
+      }
+    }
+
+    return { allowed: true, status: 'capturing', reason: 'Capturing this site' };
+  },
+
+  listCategories() {
+    return Object.entries(this.DEFAULT_BLOCKS).map(([id, block]) => ({ id, label: block.label }));
+  },
+
+  // Settings changes for the popup's one-click site controls
+  applyAction(action, url, settings = {}, now = Date.now()) {
+    const site = this.siteOf(url);
+    const without = (list, value) => (list || []).filter(item => item !== value);
+
+    switch (action) {
+      case 'pause-site':
+        return { pausedSites: [...without(settings.pausedSites, site), site] };
+      case 'resume-site':
+        return { pausedSites: without(settings.pausedSites, site) };
+      case 'pause-everywhere':
+        return { capturePausedUntil: now + this.PAUSE_EVERYWHERE_MS };
+      case 'resume-everywhere':
+        return { capturePausedUntil: 0 };
+      case 'block-site':
+        return {
+          captureBlockList: [...without(settings.captureBlockList, site), site],
+          captureAllowList: without(settings.captureAllowList, site)
+        };
+      case 'allow-site':
+        return {
+          captureAllowList: [...without(settings.captureAllowList, site), site],
+          captureBlockList: without(settings.captureBlockList, site)
+        };
+      case 'reset-site':
+        return {
+          captureAllowList: without(settings.captureAllowList, site),
+          captureBlockList: without(settings.captureBlockList, site),
+          pausedSites: without(settings.pausedSites, site)
+        };
+      default:
+        throw new Error('Unknown privacy action: ' + action);
+    }
+  }
+};
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WeavesPrivacyPolicy;
+} else if (typeof self !== 'undefined') {
+  self.WeavesPrivacyPolicy = WeavesPrivacyPolicy;
+}
@@ -0,0 +1,245 @@
+// Weaves Response Parser - Tolerant JSON extraction and schema validation for model responses
+class WeavesResponseParser {
+  constructor(options = {}) {
+    this.maxRejections = options.maxRejections || 25;
+    this.rejections = [];
+  }
+
+  // Parse a model response against a schema; failures are recorded with the reason
+  parse(kind, raw, schema) {
+    const extracted = WeavesResponseParser.extractJSON(raw);
+    if (extracted.error) {
+      this.recordRejection(kind, extracted.error, raw);
+      return { value: null, errors: [extracted.error] };
+    }
+
+    const errors = WeavesResponseParser.validate(extracted.value, schema);
+    if (errors.length > 0) {
+      this.recordRejection(kind, errors.join('; '), raw);
+      return { value: null, errors };
+    }
+
+    return { value: extracted.value, errors: [], repaired: extracted.repaired };
+  }
+
+  recordRejection(kind, reason, raw) {
+    const excerpt = typeof raw === 'string' ? raw : JSON.stringify(raw);
+    this.rejections.unshift({
+      kind,
+      reason,
+      excerpt: (excerpt || '').substring(0, 200),
+      timestamp: Date.now()
+    });
+    this.rejections.length = Math.min(this.rejections.length, this.maxRejections);
+    console.log(`Rejected ${kind} response: ${reason}`);
+  }
+
+  getRejections() {
+    return this.rejections.slice();
+  }
+
+  static extractJSON(raw) {
+    if (raw && typeof raw === 'object') {
+      return { value: raw };
+    }
+    if (typeof raw !== 'string' || !raw.trim()) {
+      return { error: 'empty response' };
+    }
+
+    // Prefer the body of a ```json fence when the model wrapped its answer in one
+    let text = raw.trim();
+    const fence = text.match(/```(?:json)?\s*([\s\S]*?)(```|$)/i);
+    if (fence) {
+      text = fence[1].trim();
+    }
+
+    try {
+      return { value: JSON.parse(text) };
+    } catch (error) {
+      // Fall through to scanning for an embedded JSON value
+    }
+
+    let start = text.search(/[{[]/);
+    if (start === -1) {
+      return { error: 'no JSON object found in response' };
+    }
+
+    // Prose like "use {braces} for this" can come before the answer, so a complete value that
+    // doesn't parse moves the search past it
+    let malformed = null;
+    while (start !== -1) {
+      const scanned = WeavesResponseParser.scanBalanced(text, start);
+      try {
+        return { value: JSON.parse(scanned.text) };
+      } catch (error) {
+        if (!scanned.complete) {
+          // Truncated output - close whatever is still open and try once more
+          const repaired = WeavesResponseParser.repairTruncated(scanned.text);
+          try {
+            return { value: JSON.parse(repaired), repaired: true };
+          } catch (repairError) {
+            return { error: 'truncated JSON could not be repaired' };
+          }
+        }
+        malformed = malformed || error;
+      }
+
+      const end = start + scanned.text.length;
+      const next = text.substring(end).search(/[{[]/);
+      start = next === -1 ? -1 : end + next;
+    }
+    return { error: 'malformed JSON: ' + malformed.message };
+  }
+
+  static scanBalanced(text, start) {
+    const stack = [];
+    let inString = false;
+    let escaped = false;
+
+    for (let i = start; i < text.length; i++) {
+      const char = text[i];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+
+      if (char === '"') inString = true;
+      else if (char === '{') stack.push('}');
+      else if (char === '[') stack.push(']');
+      else if (char === '}' || char === ']') {
+        stack.pop();
+        if (stack.length === 0) {
+          return { text: text.substring(start, i + 1), complete: true, stack, inString };
+        }
+      }
+    }
+
+    return { text: text.substring(start), complete: false, stack, inString };
+  }
+
+  // Cuts back to the last complete value and closes what is still open. Elements of an array that were
+  // cut off are dropped whole, since a partial record would fail the schema and take its siblings with it
+  static repairTruncated(text) {
+    // Each open container remembers where its last complete member ended
+    const frames = [];
+    let inString = false;
+    let escaped = false;
+    let literal = false;
+    const completeValue = end => {
+      const frame = frames[frames.length - 1];
+      if (frame) frame.safe = end;
+    };
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      const frame = frames[frames.length - 1];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') {
+          inString = false;
+          // A string is an object key until a colon follows it
+          if (!frame.object || frame.expectValue) completeValue(i + 1);
+        }
+        continue;
+      }
+
+      // A number or literal at the very end may have lost characters, so it only counts once something follows
+      if (literal && /[\s,:\]}]/.test(char)) {
+        literal = false;
+        completeValue(i);
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        frames.push({ safe: i + 1, object: char === '{', expectValue: false, closer: char === '{' ? '}' : ']' });
+      } else if (char === '}' || char === ']') {
+        frames.pop();
+        completeValue(i + 1);
+      } else if (char === ':') {
+        frame.expectValue = true;
+      } else if (char === ',') {
+        if (frame.object) frame.expectValue = false;
+      } else if (!/\s/.test(char)) {
+        literal = true;
+      }
+    }
+
+    // Open containers inside arrays are the cut-off elements; the cut falls inside the nearest one that isn't
+    while (frames.length > 1 && !frames[frames.length - 2].object) {
+      frames.pop();
+    }
+    if (frames.length === 0) return text;
+
+    const innermost = frames[frames.length - 1];
+    return text.substring(0, innermost.safe) + frames.map(frame => frame.closer).reverse().join('');
+  }
+
+  // Validates the JSON Schema subset used by Weaves prompts and returns a list of errors
+  static validate(value, schema, path = '$') {
+    const errors = [];
+    if (!schema) return errors;
+
+    if (schema.type && !WeavesResponseParser.matchesType(value, schema.type)) {
+      errors.push(`${path} should be ${schema.type}`);
+      return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} is below ${schema.minimum}`);
+      if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} is above ${schema.maximum}`);
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path} is shorter than ${schema.minLength}`);
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path} is longer than ${schema.maxLength}`);
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} has fewer than ${schema.minItems} items`);
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} has more than ${schema.maxItems} items`);
+      if (schema.items) {
+        value.forEach((item, i) => errors.push(...WeavesResponseParser.validate(item, schema.items, `${path}[${i}]`)));
+      }
+    }
+
+    if (schema.type === 'object') {
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+      });
+      Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+        if (value[key] !== undefined) {
+          errors.push(...WeavesResponseParser.validate(value[key], propSchema, `${path}.${key}`));
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  static matchesType(value, type) {
+    switch (type) {
+      case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'array': return Array.isArray(value);
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && !Number.isNaN(value);
+      case 'string': return typeof value === 'string';
+      case 'boolean': return typeof value === 'boolean';
+      default: return true;
+    }
+  }
+}
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WeavesResponseParser;
+} else if (typeof self !== 'undefined') {
+  self.WeavesResponseParser = WeavesResponseParser;
+}
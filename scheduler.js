@@ -0,0 +1,101 @@
+// Weaves Scheduler - Runs periodic maintenance on named chrome.alarms so it survives the service worker being stopped
+class WeavesScheduler {
+  constructor() {
+    this.STORAGE_KEY = 'maintenanceLog';
+    this.jobs = new Map();
+  }
+
+  // A job either repeats every periodInMinutes or, with nextRunAt(), is a one-shot alarm re-armed after each run
+  register(name, { label, run, periodInMinutes, nextRunAt }) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Maintenance job ${name} is already registered`);
+    }
+    this.jobs.set(name, { label: label || name, run, periodInMinutes, nextRunAt });
+    return this;
+  }
+
+  // Must be called while the worker script first runs, or alarms that wake it are missed
+  listen() {
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      if (this.jobs.has(alarm.name)) {
+        this.run(alarm.name);
+      }
+    });
+  }
+
+  // Alarms usually persist, but Chrome may drop them on restart or update, so this is safe to call on every startup
+  async ensureAlarms() {
+    for (const name of this.jobs.keys()) {
+      const existing = await chrome.alarms.get(name);
+      if (!existing) {
+        await this.schedule(name);
+      }
+    }
+  }
+
+  async schedule(name) {
+    const job = this.jobs.get(name);
+    if (!job) return;
+
+    if (job.nextRunAt) {
+      await chrome.alarms.create(name, { when: job.nextRunAt() });
+    } else {
+      await chrome.alarms.create(name, { delayInMinutes: job.periodInMinutes, periodInMinutes: job.periodInMinutes });
+    }
+  }
+
+  async run(name) {
+    const job = this.jobs.get(name);
+    if (!job) throw new Error('Unknown maintenance job: ' + name);
+
+    const startedAt = Date.now();
+    const entry = { lastRun: startedAt };
+    try {
+      entry.result = (await job.run()) || null;
+      entry.outcome = 'success';
+    } catch (error) {
+      console.error(`Maintenance job ${name} failed:`, error);
+      entry.outcome = 'error';
+      entry.error = error.message;
+    }
+    entry.durationMs = Date.now() - startedAt;
+
+    if (job.nextRunAt) {
+      await this.schedule(name);
+    }
+    await this.record(name, entry);
+    return entry;
+  }
+
+  async record(name, entry) {
+    try {
+      const result = await chrome.storage.local.get([this.STORAGE_KEY]);
+      const log = result[this.STORAGE_KEY] || {};
+      log[name] = entry;
+      await chrome.storage.local.set({ [this.STORAGE_KEY]: log });
+    } catch (error) {
+      console.error('Failed to record maintenance run:', error);
+    }
+  }
+
+  // One entry per job: its last run and outcome plus when its alarm fires next
+  async getStatus() {
+    const result = await chrome.storage.local.get([this.STORAGE_KEY]);
+    const log = result[this.STORAGE_KEY] || {};
+    const alarms = await chrome.alarms.getAll();
+
+    return Array.from(this.jobs.entries()).map(([name, job]) => ({
+      name,
+      label: job.label,
+      ...(log[name] || { lastRun: null, outcome: null }),
+      nextRun: alarms.find(alarm => alarm.name === name)?.scheduledTime || null
+    }));
+  }
+}
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WeavesScheduler;
+} else if (typeof self !== 'undefined') {
+  self.WeavesScheduler = WeavesScheduler;
+}
@@ -1,131 +1,171 @@
-// Weaves Storage Manager - Handles persistent storage, daily resets, and pinning system
+// Weaves Storage Manager - Settings, daily reset, pinning and the versioned storage schema
 class WeavesStorageManager {
   constructor() {
-    this.pinnedConnections = new Map();
     this.STORAGE_KEYS = {
-      WEAVES_DATA: 'weavesData',
+      DAILY_DATA: 'weavesData', // Pre-IndexedDB blob, only read to migrate it
       PINNED_CONNECTIONS: 'pinnedConnections',
+      NOTES: 'connectionNotes',
       LAST_RESET_DATE: 'lastResetDate',
-      SETTINGS: 'weavesSettings'
+      SETTINGS: 'weavesSettings',
+      SCHEMA_VERSION: 'schemaVersion'
     };
+    
     this.DEFAULT_SETTINGS = {
-      dailyResetEnabled: true,
-      resetTime: '00:00', // Midnight
-      maxStorageSize: 50, // MB
-      retentionDays: 7
+      autoResetEnabled: true,
+      resetTime: 'midnight',
+      maxDailyContent: 100,
+      maxPinnedConnections: 50,
+      dataRetentionDays: 7, // Also how long daily archives are kept
+      includeArchivesInDiscovery: false, // Let pages from archived days be connection candidates
+      importFetchEnabled: false, // Let the queue download imported bookmarks and history pages before analysis
+      syncEnabled: true, // Sync pins, notes and the settings in WeavesSyncManager.SYNCED_SETTINGS across devices
+      maxStorageSize: 50, // MB of pages, analyses and connections before the least connected are evicted
+      maxConcurrentJobs: 1,
+      modelProvider: 'chrome-builtin',
+      localModel: {
+        endpoint: 'http://localhost:11434/v1',
+        model: 'llama3.1',
+        apiKey: ''
+      },
+      mockResponses: [],
+      analysisCacheSize: 200,
+      analysisCacheTTLHours: 72,
+      activeLens: 'academic',
+      projects: [], // [{ id, name, lens }] - a project's lens overrides activeLens
+      activeProjectId: null,
+      includeSuspiciousContent: false, // Pages flagged by WeavesPromptGuard stay out of connections
+      // Capture rules evaluated by WeavesPrivacyPolicy before a page's text is sent
+      captureMode: 'everywhere', // or 'allowlist' to capture only allow-listed sites
+      captureAllowList: [],
+      captureBlockList: [],
+      defaultBlockCategories: ['banking', 'health', 'mail', 'documents'],
+      pausedSites: [],
+      capturePausedUntil: 0,
+      piiRedactionCategories: ['email', 'card', 'iban', 'ssn', 'phone', 'ip', 'name']
     };
+    
+    this.pinnedConnections = new Map();
+    // Set when pins are changed in place, so the next saveData writes them
+    this.pinsDirty = false;
+    this.notes = new Map(); // connection ID -> the user's note on it
+    // Called after pins, notes or settings are saved, so they can be synced
+    this.onChange = null;
+    this.contentDB = new WeavesContentDB();
+    this.settings = { ...this.DEFAULT_SETTINGS };
+    this.migrating = null;
+    this.ready = this.initializeStorage();
   }
 
-  async initialize() {
+  async initializeStorage() {
     try {
-      await this.loadStoredData();
-      await this.checkDailyReset();
+      const result = await chrome.storage.local.get([this.STORAGE_KEYS.SETTINGS]);
+      if (result[this.STORAGE_KEYS.SETTINGS]) {
+        this.settings = { ...this.DEFAULT_SETTINGS, ...result[this.STORAGE_KEYS.SETTINGS] };
+      }
+
+      await this.loadPinnedConnections();
+      await this.loadNotes();
+
       console.log('Weaves Storage Manager initialized');
     } catch (error) {
       console.error('Failed to initialize storage manager:', error);
     }
   }
 
-  async loadStoredData() {
-    try {
-      const result = await chrome.storage.local.get([
-        this.STORAGE_KEYS.WEAVES_DATA,
-        this.STORAGE_KEYS.PINNED_CONNECTIONS,
-        this.STORAGE_KEYS.LAST_RESET_DATE,
-        this.STORAGE_KEYS.SETTINGS
-      ]);
-
-      // Load pinned connections
-      this.pinnedConnections = new Map(result[this.STORAGE_KEYS.PINNED_CONNECTIONS] || []);
-
-      // Load settings with defaults
-      this.settings = { ...this.DEFAULT_SETTINGS, ...result[this.STORAGE_KEYS.SETTINGS] };
+  async updateSettings(newSettings) {
+    this.settings = { ...this.settings, ...newSettings };
+    await chrome.storage.local.set({
+      [this.STORAGE_KEYS.SETTINGS]: this.settings
+    });
+    console.log('Settings updated:', Object.keys(newSettings).join(', '));
+    this.notifyChange();
+  }
 
-      return result[this.STORAGE_KEYS.WEAVES_DATA] || null;
-    } catch (error) {
-      console.warn('Failed to load stored data:', error);
-      return null;
-    }
+  notifyChange() {
+    if (this.onChange) this.onChange();
   }
 
-  async checkDailyReset() {
-    if (!this.settings.dailyResetEnabled) return false;
+  // Returns true if a reset was performed. beforeReset runs first, so the caller can save what's
+  // still in memory into the day being archived; if it or the archive fails, nothing is reset
+  async checkAndPerformDailyReset(beforeReset = async () => {}) {
+    if (!this.settings.autoResetEnabled) return false;
 
     try {
       const result = await chrome.storage.local.get([this.STORAGE_KEYS.LAST_RESET_DATE]);
-      const today = new Date().toDateString();
+      const today = this.getCurrentDateString();
       const lastReset = result[this.STORAGE_KEYS.LAST_RESET_DATE];
 
       if (lastReset !== today) {
-        console.log('New day detected - performing daily reset');
-        await this.performDailyReset();
-        await chrome.storage.local.set({ 
-          [this.STORAGE_KEYS.LAST_RESET_DATE]: today 
-        });
+        await beforeReset();
+        await this.performDailyReset(today, lastReset);
+        console.log('Daily reset performed for ' + today);
         return true;
       }
-      return false;
     } catch (error) {
-      console.error('Failed to check daily reset:', error);
-      return false;
+      console.error('Failed to check/perform daily reset:', error);
     }
+    return false;
   }
 
-  async performDailyReset() {
-    try {
-      // Clear unpinned data but preserve pinned connections
-      await chrome.storage.local.set({
-        [this.STORAGE_KEYS.WEAVES_DATA]: null
-      });
+  // The finished day is archived rather than discarded; retention pruning removes old archives.
+  // Throws if archiving fails, leaving the day's data in place to be archived on the next attempt
+  async performDailyReset(dateString, previousDateString) {
+    const archiveDate = WeavesStorageManager.toDayKey(previousDateString || Date.now() - 24 * 60 * 60 * 1000);
+    const archive = await this.contentDB.archiveAndClear(archiveDate);
+    if (archive) {
+      console.log(`Archived ${archive.documents.length} pages and ${archive.connections.length} connections for ${archiveDate}`);
+    }
+    await chrome.storage.local.set({
+      [this.STORAGE_KEYS.LAST_RESET_DATE]: dateString
+    });
 
-      // Clean up old pinned connections (older than retention period)
-      await this.cleanupPinnedConnections();
+    await this.cleanupPinnedConnections();
+  }
 
-      console.log('Daily reset completed - unpinned data cleared, pinned connections preserved');
+  // The daily reset is checked by the caller once migrations have run
+  async loadStoredData() {
+    try {
+      const stored = await this.contentDB.loadAll();
+
+      // Until the first migration step saves it to IndexedDB, data from before IndexedDB is still in chrome.storage
+      const result = await chrome.storage.local.get([this.STORAGE_KEYS.DAILY_DATA]);
+      const legacy = result[this.STORAGE_KEYS.DAILY_DATA];
+      if (legacy) {
+        return {
+          contentStore: new Map(legacy.contentStore || []),
+          connections: legacy.connections || []
+        };
+      }
+
+      return stored;
     } catch (error) {
-      console.error('Failed to perform daily reset:', error);
+      console.error('Failed to load stored data:', error);
+      return { contentStore: new Map(), connections: [] };
     }
   }
 
-  async cleanupPinnedConnections() {
-    const retentionMs = this.settings.retentionDays * 24 * 60 * 60 * 1000;
-    const cutoffTime = Date.now() - retentionMs;
-    
-    let cleanedCount = 0;
-    for (const [id, connection] of this.pinnedConnections.entries()) {
-      if (connection.pinnedAt < cutoffTime) {
-        this.pinnedConnections.delete(id);
-        cleanedCount++;
+  // Only added records and those in dirty are written (see WeavesContentDB.sync); pins only when changed
+  async saveData(contentStore, connections, dirty = { all: true }) {
+    try {
+      await this.contentDB.sync(contentStore, connections, connection => this.generateConnectionId(connection), dirty);
+      if (this.pinsDirty) {
+        await this.savePinnedConnections();
       }
-    }
-
-    if (cleanedCount > 0) {
-      await this.savePinnedConnections();
-      console.log(`Cleaned up ${cleanedCount} old pinned connections`);
+      return true;
+    } catch (error) {
+      console.error('Failed to save data:', error);
+      return false;
     }
   }
 
-  async saveData(contentStore, connections) {
+  async loadPinnedConnections() {
     try {
-      const dataToStore = {
-        contentStore: Array.from(contentStore.entries()),
-        connections: connections,
-        timestamp: Date.now(),
-        version: '1.0'
-      };
-
-      // Check storage size and cleanup if needed
-      await this.checkStorageSize(dataToStore);
-
-      await chrome.storage.local.set({
-        [this.STORAGE_KEYS.WEAVES_DATA]: dataToStore
-      });
-
-      // Also save pinned connections
-      await this.savePinnedConnections();
+      const result = await chrome.storage.local.get([this.STORAGE_KEYS.PINNED_CONNECTIONS]);
+      if (result[this.STORAGE_KEYS.PINNED_CONNECTIONS]) {
+        this.pinnedConnections = new Map(result[this.STORAGE_KEYS.PINNED_CONNECTIONS]);
+      }
     } catch (error) {
-      console.error('Failed to save data:', error);
-      throw error;
+      console.error('Failed to load pinned connections:', error);
     }
   }
 
@@ -134,60 +174,111 @@ class WeavesStorageManager {
       await chrome.storage.local.set({
         [this.STORAGE_KEYS.PINNED_CONNECTIONS]: Array.from(this.pinnedConnections.entries())
       });
+      this.pinsDirty = false;
+      this.notifyChange();
     } catch (error) {
       console.error('Failed to save pinned connections:', error);
     }
   }
 
-  async checkStorageSize(data) {
+  async loadNotes() {
     try {
-      const dataSize = new Blob([JSON.stringify(data)]).size;
-      const maxSize = this.settings.maxStorageSize * 1024 * 1024; // Convert MB to bytes
+      const result = await chrome.storage.local.get([this.STORAGE_KEYS.NOTES]);
+      this.notes = new Map(result[this.STORAGE_KEYS.NOTES] || []);
+    } catch (error) {
+      console.error('Failed to load notes:', error);
+    }
+  }
 
-      if (dataSize > maxSize) {
-        console.warn(`Data size (${Math.round(dataSize / 1024)}KB) exceeds limit. Performing cleanup.`);
-        await this.performStorageCleanup();
-      }
+  async saveNotes() {
+    try {
+      await chrome.storage.local.set({
+        [this.STORAGE_KEYS.NOTES]: Array.from(this.notes.entries())
+      });
+      this.notifyChange();
     } catch (error) {
-      console.warn('Failed to check storage size:', error);
+      console.error('Failed to save notes:', error);
     }
   }
 
-  async performStorageCleanup() {
-    // This could be called by the main AI class to trim old data
-    console.log('Storage cleanup requested - consider reducing data retention');
+  // An empty note removes it
+  async setNote(connectionId, text) {
+    const note = String(text || '').trim();
+    if (note) {
+      this.notes.set(connectionId, note);
+    } else if (!this.notes.delete(connectionId)) {
+      return;
+    }
+    await this.saveNotes();
   }
 
-  // Pin Management Methods
-  pinConnection(connection) {
-    const connectionId = this.generateConnectionId(connection);
-    
-    if (connectionId && connection) {
-      this.pinnedConnections.set(connectionId, {
+  async pinConnection(connectionId, connection) {
+    try {
+      // Pinning again only refreshes the copy, so it doesn't count against the limit or reset when it was pinned
+      const existing = this.pinnedConnections.get(connectionId);
+      if (!existing && this.pinnedConnections.size >= this.settings.maxPinnedConnections) {
+        throw new Error('Cannot pin more than ' + this.settings.maxPinnedConnections + ' connections');
+      }
+
+      const pinnedConnection = {
         ...connection,
         pinned: true,
-        pinnedAt: Date.now(),
-        pinnedVersion: '1.0'
-      });
+        pinnedAt: existing?.pinnedAt || Date.now(),
+        pinnedDate: existing?.pinnedDate || this.getCurrentDateString()
+      };
+
+      this.pinnedConnections.set(connectionId, pinnedConnection);
+      await this.savePinnedConnections();
       
-      this.savePinnedConnections();
-      console.log(`Connection pinned: ${connectionId}`);
       return true;
+    } catch (error) {
+      console.error('Failed to pin connection:', error);
+      return false;
     }
-    return false;
   }
 
-  unpinConnection(connectionId) {
-    const removed = this.pinnedConnections.delete(connectionId);
-    if (removed) {
-      this.savePinnedConnections();
-      console.log(`Connection unpinned: ${connectionId}`);
+  async unpinConnection(connectionId) {
+    try {
+      const removed = this.pinnedConnections.delete(connectionId);
+      if (removed) {
+        await this.savePinnedConnections();
+      }
+      return removed;
+    } catch (error) {
+      console.error('Failed to unpin connection:', error);
+      return false;
     }
-    return removed;
   }
 
-  isPinned(connectionId) {
-    return this.pinnedConnections.has(connectionId);
+  // Applies transform to every pinned connection and re-keys them by their new IDs
+  remapPinnedConnections(transform) {
+    const remapped = new Map();
+    for (const connection of this.pinnedConnections.values()) {
+      const updated = transform(connection);
+      if (updated.from === updated.to) continue;
+
+      // Two pins that now describe the same pair collapse into one, pinned since the earliest
+      const id = this.generateConnectionId(updated);
+      const prior = remapped.get(id);
+      remapped.set(id, prior ? { ...updated, pinnedAt: Math.min(prior.pinnedAt, updated.pinnedAt) } : updated);
+    }
+    this.pinnedConnections = remapped;
+    this.pinsDirty = true;
+  }
+
+  // Keeps a pinned copy in step with its merged connection without losing when it was pinned
+  refreshPinnedConnection(connectionId, connection) {
+    const pinned = this.pinnedConnections.get(connectionId);
+    if (!pinned) return false;
+
+    this.pinnedConnections.set(connectionId, {
+      ...connection,
+      pinned: true,
+      pinnedAt: pinned.pinnedAt,
+      pinnedDate: pinned.pinnedDate
+    });
+    this.pinsDirty = true;
+    return true;
   }
 
   getPinnedConnections() {
@@ -198,132 +289,206 @@ class WeavesStorageManager {
     }));
   }
 
-  generateConnectionId(connection) {
-    if (!connection.from || !connection.to || !connection.timestamp) {
-      console.warn('Invalid connection for ID generation:', connection);
-      return null;
+  async cleanupPinnedConnections() {
+    try {
+      if (this.pinnedConnections.size > this.settings.maxPinnedConnections) {
+        const sortedPins = Array.from(this.pinnedConnections.entries())
+          .sort(([,a], [,b]) => a.pinnedAt - b.pinnedAt);
+        
+        const toRemove = sortedPins.slice(0, sortedPins.length - this.settings.maxPinnedConnections);
+        toRemove.forEach(([id]) => this.pinnedConnections.delete(id));
+        
+        await this.savePinnedConnections();
+      }
+    } catch (error) {
+      console.error('Failed to cleanup pinned connections:', error);
     }
-    return `${connection.from}-${connection.to}-${connection.timestamp}`;
   }
 
-  // Combine regular and pinned connections
-  getAllConnections(regularConnections) {
-    const regular = regularConnections.map(c => ({
-      ...c,
-      id: this.generateConnectionId(c),
-      pinned: false
-    }));
-    
-    const pinned = this.getPinnedConnections();
-    
-    // Remove duplicates (if a pinned connection also exists in regular connections)
-    const allConnections = [...pinned];
-    regular.forEach(regularConn => {
-      if (!pinned.find(pinnedConn => pinnedConn.id === regularConn.id)) {
-        allConnections.push(regularConn);
-      }
-    });
-    
-    return allConnections.sort((a, b) => {
-      // Pinned connections first
-      if (a.pinned && !b.pinned) return -1;
-      if (!a.pinned && b.pinned) return 1;
-      // Then by strength
-      if (a.strength !== b.strength) return b.strength - a.strength;
-      // Then by recency
-      return b.timestamp - a.timestamp;
-    });
+  // resetTime is 'midnight' or 'HH:MM'; returns minutes after midnight
+  getResetMinutes() {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(this.settings.resetTime || '');
+    if (!match) return 0;
+    return Math.min(23, parseInt(match[1], 10)) * 60 + Math.min(59, parseInt(match[2], 10));
   }
 
-  // Settings management
-  async updateSettings(newSettings) {
-    this.settings = { ...this.settings, ...newSettings };
-    await chrome.storage.local.set({
-      [this.STORAGE_KEYS.SETTINGS]: this.settings
-    });
-    console.log('Settings updated:', newSettings);
+  // The "day" starts at resetTime, so before a 04:00 reset it is still yesterday
+  getCurrentDateString(now = Date.now()) {
+    return new Date(now - this.getResetMinutes() * 60000).toDateString();
   }
 
-  getSettings() {
-    return { ...this.settings };
+  getNextResetTime(now = Date.now()) {
+    const next = new Date(now);
+    const minutes = this.getResetMinutes();
+    next.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+    if (next.getTime() <= now) {
+      next.setDate(next.getDate() + 1);
+    }
+    return next.getTime();
   }
 
-  // Export/Import functionality
-  async exportData() {
-    try {
-      const allData = await chrome.storage.local.get();
-      const exportData = {
-        version: '1.0',
-        exportDate: new Date().toISOString(),
-        data: allData,
-        pinnedConnections: Array.from(this.pinnedConnections.entries())
-      };
-      return JSON.stringify(exportData, null, 2);
-    } catch (error) {
-      console.error('Failed to export data:', error);
-      throw error;
+  // YYYY-MM-DD in local time, for a Date.toDateString() string or a timestamp
+  static toDayKey(value) {
+    const date = new Date(value);
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  // A→B and B→A are the same relationship, so the ID ignores direction and time
+  generateConnectionId(connection) {
+    return [connection.from, connection.to].sort().join('~');
+  }
+
+  async getSchemaVersion() {
+    const result = await chrome.storage.local.get([this.STORAGE_KEYS.SCHEMA_VERSION]);
+    return result[this.STORAGE_KEYS.SCHEMA_VERSION];
+  }
+
+  // Runs every step newer than the stored schema version, in order, recording the version after each
+  // so an interrupted upgrade resumes where it stopped. app is the WeavesAI instance holding the loaded data.
+  // Called on every startup and again from onInstalled; concurrent calls share one run
+  migrate(app) {
+    if (!this.migrating) {
+      this.migrating = this.runMigrations(app).finally(() => {
+        this.migrating = null;
+      });
     }
+    return this.migrating;
   }
 
-  async importData(jsonData) {
-    try {
-      const importData = JSON.parse(jsonData);
-      
-      if (importData.version && importData.data) {
-        // Restore main data
-        await chrome.storage.local.set(importData.data);
-        
-        // Restore pinned connections
-        if (importData.pinnedConnections) {
-          this.pinnedConnections = new Map(importData.pinnedConnections);
-          await this.savePinnedConnections();
-        }
-        
-        console.log('Data imported successfully');
-        return true;
+  async runMigrations(app) {
+    const stored = await chrome.storage.local.get(null);
+    let version = stored[this.STORAGE_KEYS.SCHEMA_VERSION];
+
+    if (version === undefined) {
+      const hasData = [this.STORAGE_KEYS.DAILY_DATA, this.STORAGE_KEYS.PINNED_CONNECTIONS, this.STORAGE_KEYS.SETTINGS]
+        .some(key => stored[key]);
+      if (!hasData) {
+        // Fresh install: nothing to upgrade
+        await chrome.storage.local.set({ [this.STORAGE_KEYS.SCHEMA_VERSION]: WeavesStorageManager.SCHEMA_VERSION });
+        return [];
       }
-      throw new Error('Invalid import data format');
-    } catch (error) {
-      console.error('Failed to import data:', error);
-      throw error;
+      version = 0;
     }
-  }
 
-  // Analytics and insights
-  getStorageStats() {
-    return {
-      pinnedConnections: this.pinnedConnections.size,
-      settings: this.settings,
-      lastReset: null // Would need to fetch from storage
-    };
+    const applied = [];
+    for (const step of WeavesStorageManager.MIGRATIONS) {
+      if (step.version <= version) continue;
+
+      try {
+        await step.migrate(this, app);
+        await chrome.storage.local.set({ [this.STORAGE_KEYS.SETTINGS]: this.settings });
+        // Migrations change records in place, so everything is written
+        app.markAllDirty();
+        if (!await app.saveData()) {
+          throw new Error('Could not save the migrated data');
+        }
+        // The migrated records are in IndexedDB now, so the unmigrated weavesData blob must not be loaded again
+        await chrome.storage.local.remove(this.STORAGE_KEYS.DAILY_DATA);
+        await chrome.storage.local.set({ [this.STORAGE_KEYS.SCHEMA_VERSION]: step.version });
+      } catch (error) {
+        console.error(`Storage migration ${step.version} (${step.description}) failed:`, error);
+        break;
+      }
+
+      applied.push(step.version);
+      console.log(`Storage migrated to version ${step.version}: ${step.description}`);
+    }
+    return applied;
   }
 
-  // Cleanup utilities
-  async clearAllData() {
+  async getStorageStats() {
     try {
-      await chrome.storage.local.clear();
-      this.pinnedConnections.clear();
-      console.log('All data cleared');
+      const result = await chrome.storage.local.get(null);
+      const totalSize = JSON.stringify(result).length;
+      
+      return {
+        totalStorageBytes: totalSize,
+        pinnedConnectionsCount: this.pinnedConnections.size,
+        contentDB: this.contentDB.getStats(),
+        lastResetDate: result[this.STORAGE_KEYS.LAST_RESET_DATE],
+        schemaVersion: result[this.STORAGE_KEYS.SCHEMA_VERSION],
+        settings: this.settings
+      };
     } catch (error) {
-      console.error('Failed to clear all data:', error);
+      console.error('Failed to get storage stats:', error);
+      return null;
     }
   }
+}
 
-  async clearUnpinnedData() {
-    try {
-      await chrome.storage.local.set({
-        [this.STORAGE_KEYS.WEAVES_DATA]: null
+// Ordered upgrade steps; add new ones at the end with the next version number.
+// migrate(storageManager, app) changes settings, pins or app data in memory; the runner persists them
+WeavesStorageManager.MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Unify setting names from the standalone storage manager',
+    migrate(storageManager) {
+      const settings = storageManager.settings;
+      const renamed = { dailyResetEnabled: 'autoResetEnabled', retentionDays: 'dataRetentionDays' };
+      Object.entries(renamed).forEach(([from, to]) => {
+        if (from in settings) {
+          settings[to] = settings[from];
+          delete settings[from];
+        }
       });
-      console.log('Unpinned data cleared');
-    } catch (error) {
-      console.error('Failed to clear unpinned data:', error);
     }
+  },
+  {
+    version: 2,
+    description: 'Key pinned connections by document pair',
+    migrate(storageManager) {
+      // Pins saved as from-to-timestamp collapse onto their pair ID, keeping the earliest pin time
+      storageManager.remapPinnedConnections(({ pinnedVersion, ...connection }) => ({
+        ...connection,
+        pinnedAt: connection.pinnedAt || connection.timestamp || Date.now(),
+        pinnedDate: connection.pinnedDate || new Date(connection.pinnedAt || Date.now()).toDateString()
+      }));
+    }
+  },
+  {
+    version: 3,
+    description: 'Fold tab-scoped content into canonical documents',
+    migrate: (storageManager, app) => app.migrateLegacyContent()
+  },
+  {
+    version: 4,
+    description: 'Merge repeated connections into per-pair history',
+    migrate: (storageManager, app) => app.mergeDuplicateConnections()
+  },
+  {
+    version: 5,
+    description: 'Scan stored pages for prompt injection',
+    migrate: (storageManager, app) => app.flagUnscannedContent()
+  },
+  {
+    version: 6,
+    description: 'Redact personal data stored before redaction existed',
+    migrate: (storageManager, app) => app.redactLegacyData()
+  },
+  {
+    version: 7,
+    description: 'Move pages, analyses and connections from chrome.storage to IndexedDB',
+    // The first step to run already saved every record to IndexedDB and dropped the weavesData blob;
+    // this one only fails the upgrade if IndexedDB can't be written
+    migrate: async (storageManager, app) => {
+      if (!await storageManager.saveData(app.contentStore, app.connections)) {
+        throw new Error('Could not write to IndexedDB');
+      }
+    }
+  },
+  {
+    version: 8,
+    description: 'Rescan stored pages with the scored prompt-injection check',
+    migrate: (storageManager, app) => app.flagUnscannedContent(true)
   }
-}
+];
+
+WeavesStorageManager.SCHEMA_VERSION = WeavesStorageManager.MIGRATIONS[WeavesStorageManager.MIGRATIONS.length - 1].version;
 
 // Export for use in background script
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = WeavesStorageManager;
 } else if (typeof self !== 'undefined') {
   self.WeavesStorageManager = WeavesStorageManager;
-}
\ No newline at end of file
+}
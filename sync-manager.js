@@ -0,0 +1,290 @@
+// Weaves Sync Manager - Syncs pins, notes and settings across devices through chrome.storage.sync,
+// merging per item by timestamp with tombstones for removed items
+class WeavesSyncManager {
+  constructor(options = {}) {
+    this.STATE_KEY = 'weavesSyncState';
+    this.MANIFEST_KEY = 'weaves:sync';
+    this.CHUNK_PREFIX = 'weaves:sync:';
+    // chrome.storage.sync quotas, with headroom for key names and rounding
+    this.quotaBytes = (chrome.storage.sync.QUOTA_BYTES || 102400) - 1024;
+    this.quotaBytesPerItem = (chrome.storage.sync.QUOTA_BYTES_PER_ITEM || 8192) - 256;
+    this.tombstoneDays = options.tombstoneDays || 30;
+    this.maxConflicts = 20;
+    // Writes are limited to 120 a minute, so bursts of local changes are batched
+    this.debounceMs = options.debounceMs ?? 10000;
+
+    this.readLocal = options.readLocal; // async () => { key: value } for every syncable item
+    this.applyRemote = options.applyRemote; // async ({ updated: { key: value }, removed: [key] }) => void
+    this.isEnabled = options.isEnabled || (() => true);
+
+    this.state = null;
+    this.running = null;
+    this.timer = null;
+    this.applying = false;
+  }
+
+  // Call while the worker script first runs so writes from other devices wake it
+  listen() {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      const manifest = changes[this.MANIFEST_KEY]?.newValue;
+      if (area !== 'sync' || !manifest) return;
+      this.loadState().then(state => {
+        if (manifest.device !== state.deviceId) this.schedule(0);
+      });
+    });
+  }
+
+  async loadState() {
+    if (this.state) return this.state;
+    try {
+      const result = await chrome.storage.local.get([this.STATE_KEY]);
+      this.state = result[this.STATE_KEY] || null;
+    } catch (error) {
+      console.error('Failed to load sync state:', error);
+    }
+    if (!this.state) {
+      this.state = { deviceId: crypto.randomUUID(), lastSyncAt: null, lastError: null, bytes: 0, items: {}, conflicts: [] };
+    }
+    return this.state;
+  }
+
+  async saveState() {
+    try {
+      await chrome.storage.local.set({ [this.STATE_KEY]: this.state });
+    } catch (error) {
+      console.error('Failed to save sync state:', error);
+    }
+  }
+
+  // Local changes made while remote ones are being applied are the remote ones echoing back
+  schedule(delay = this.debounceMs) {
+    if (this.applying || !this.isEnabled()) return;
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.sync();
+    }, delay);
+  }
+
+  // A sync already in progress is joined rather than run twice
+  sync() {
+    if (!this.running) {
+      this.running = this.runSync().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async runSync() {
+    const state = await this.loadState();
+    if (!this.isEnabled()) return this.getStatus();
+
+    const now = Date.now();
+    try {
+      const local = this.diffLocal(await this.readLocal(), state, now);
+      const remote = await this.readRemote();
+      const { merged, updated, removed, conflicts } = this.merge(local, remote, state);
+
+      if (Object.keys(updated).length > 0 || removed.length > 0) {
+        this.applying = true;
+        try {
+          await this.applyRemote({ updated, removed });
+        } finally {
+          this.applying = false;
+        }
+        console.log('Sync applied ' + Object.keys(updated).length + ' updates and ' + removed.length + ' removals');
+      }
+
+      // Tombstones only need to outlive the devices that haven't synced since
+      const expiry = now - this.tombstoneDays * 24 * 60 * 60 * 1000;
+      Object.keys(merged).forEach(key => {
+        if (merged[key].x && merged[key].t < expiry) delete merged[key];
+      });
+
+      state.bytes = await this.writeRemote(merged, remote, state.deviceId, now);
+      state.items = Object.fromEntries(Object.entries(merged).map(([key, record]) => [key, {
+        hash: record.x ? null : WeavesContentDB.hash(JSON.stringify(record.v)),
+        updatedAt: record.t,
+        deleted: Boolean(record.x)
+      }]));
+      state.conflicts = [...conflicts, ...state.conflicts].slice(0, this.maxConflicts);
+      state.lastSyncAt = now;
+      state.lastError = null;
+    } catch (error) {
+      console.error('Sync failed:', error);
+      state.lastError = error.message;
+    }
+
+    await this.saveState();
+    return this.getStatus();
+  }
+
+  // Stamps each local item with when it last changed: unchanged items keep their time, changed ones
+  // get now and missing ones become tombstones. Before a device's first sync nothing has a known
+  // time, so its items count as oldest and settings already synced from other devices win
+  diffLocal(values, state, now) {
+    const firstSync = state.lastSyncAt === null;
+    const records = {};
+    Object.entries(values).forEach(([key, value]) => {
+      const previous = state.items[key];
+      const unchanged = previous && !previous.deleted && previous.hash === WeavesContentDB.hash(JSON.stringify(value));
+      records[key] = { v: value, t: unchanged ? previous.updatedAt : firstSync ? 0 : now, d: state.deviceId };
+    });
+    Object.entries(state.items).forEach(([key, previous]) => {
+      if (records[key]) return;
+      records[key] = { t: previous.deleted ? previous.updatedAt : now, d: state.deviceId, x: 1 };
+    });
+    return records;
+  }
+
+  async readRemote() {
+    const stored = await chrome.storage.sync.get(null);
+    const manifest = stored[this.MANIFEST_KEY];
+    const records = {};
+    for (let i = 0; i < (manifest?.chunks || 0); i++) {
+      (stored[this.CHUNK_PREFIX + i] || []).forEach(record => {
+        records[record.k] = { v: record.v, t: record.t, d: record.d, ...(record.x ? { x: 1 } : {}) };
+      });
+    }
+    const keys = Object.keys(stored).filter(key => key.startsWith(this.CHUNK_PREFIX));
+    return { records, keys };
+  }
+
+  // Per key the later change wins, with the device ID breaking ties so every device picks the same one.
+  // It's a conflict when both this device and another changed the item since the last sync
+  merge(local, remote, state) {
+    const merged = {};
+    const updated = {};
+    const removed = [];
+    const conflicts = [];
+    const same = (a, b) => Boolean(a.x) === Boolean(b.x) && (a.x || JSON.stringify(a.v) === JSON.stringify(b.v));
+    const since = state.lastSyncAt || 0;
+
+    new Set([...Object.keys(local), ...Object.keys(remote.records)]).forEach(key => {
+      const mine = local[key];
+      const theirs = remote.records[key];
+      if (!theirs || !mine) {
+        merged[key] = mine || theirs;
+      } else {
+        const remoteWins = theirs.t > mine.t || (theirs.t === mine.t && theirs.d > mine.d);
+        merged[key] = remoteWins ? theirs : mine;
+        if (!same(mine, theirs) && mine.t > since && theirs.t > since && theirs.d !== state.deviceId) {
+          conflicts.push({ key, kept: remoteWins ? 'remote' : 'local', at: Date.now() });
+        }
+      }
+
+      const winner = merged[key];
+      if (winner === mine || (mine && same(mine, winner))) return;
+      if (winner.x) {
+        if (mine && !mine.x) removed.push(key);
+      } else {
+        updated[key] = winner.v;
+      }
+    });
+
+    return { merged, updated, removed, conflicts };
+  }
+
+  byteLength(key, value) {
+    return new TextEncoder().encode(key + JSON.stringify(value)).length;
+  }
+
+  // Records are packed greedily into chunks that each fit one sync item
+  pack(merged) {
+    const chunks = [[]];
+    let size = 2;
+    Object.entries(merged)
+      .map(([k, record]) => ({ k, ...record }))
+      .forEach(record => {
+        const bytes = this.byteLength('', record) + 1;
+        if (bytes > this.quotaBytesPerItem) {
+          throw new Error('Sync item too large: ' + record.k);
+        }
+        if (size + bytes > this.quotaBytesPerItem) {
+          chunks.push([]);
+          size = 2;
+        }
+        chunks[chunks.length - 1].push(record);
+        size += bytes;
+      });
+    return chunks;
+  }
+
+  // Drops the oldest tombstones until everything fits in the total quota
+  async writeRemote(merged, remote, deviceId, now) {
+    const measure = chunks => chunks.reduce((sum, chunk, i) => sum + this.byteLength(this.CHUNK_PREFIX + i, chunk), 0);
+    let chunks = this.pack(merged);
+    const tombstones = Object.keys(merged).filter(key => merged[key].x).sort((a, b) => merged[a].t - merged[b].t);
+    while (measure(chunks) > this.quotaBytes && tombstones.length > 0) {
+      delete merged[tombstones.shift()];
+      chunks = this.pack(merged);
+    }
+    const bytes = measure(chunks);
+    if (bytes > this.quotaBytes) {
+      throw new Error('Pins, notes and settings exceed the ' + Math.round(this.quotaBytes / 1024) + ' KB sync quota');
+    }
+
+    // Nothing is written when the merge changed nothing remotely
+    const unchanged = Object.keys(merged).length === Object.keys(remote.records).length &&
+      Object.entries(merged).every(([key, record]) => {
+        const existing = remote.records[key];
+        return existing && existing.t === record.t && existing.d === record.d &&
+          Boolean(existing.x) === Boolean(record.x) && JSON.stringify(existing.v) === JSON.stringify(record.v);
+      });
+    if (unchanged) return bytes;
+
+    // One write for the chunks and manifest; leftover chunks from a larger sync are removed after
+    const items = { [this.MANIFEST_KEY]: { version: 1, chunks: chunks.length, updatedAt: now, device: deviceId } };
+    chunks.forEach((chunk, i) => {
+      items[this.CHUNK_PREFIX + i] = chunk;
+    });
+    await chrome.storage.sync.set(items);
+    const stale = remote.keys.filter(key => !(key in items));
+    if (stale.length > 0) {
+      await chrome.storage.sync.remove(stale);
+    }
+    return bytes;
+  }
+
+  // Turns "pin:<id>" and "setting:resetTime" keys into something to show the user
+  describeKey(key) {
+    const [kind, ...rest] = key.split(':');
+    const labels = { pin: 'Pinned connection', note: 'Note', setting: 'Setting' };
+    return { kind, id: rest.join(':'), label: labels[kind] || kind };
+  }
+
+  getStatus() {
+    const state = this.state || {};
+    return {
+      enabled: this.isEnabled(),
+      syncing: Boolean(this.running),
+      lastSyncAt: state.lastSyncAt || null,
+      lastError: state.lastError || null,
+      items: Object.values(state.items || {}).filter(item => !item.deleted).length,
+      bytes: state.bytes || 0,
+      quotaBytes: this.quotaBytes,
+      conflicts: (state.conflicts || []).map(conflict => ({ ...conflict, ...this.describeKey(conflict.key) }))
+    };
+  }
+
+  async clearConflicts() {
+    await this.loadState();
+    this.state.conflicts = [];
+    await this.saveState();
+  }
+}
+
+// Settings that follow the user; API keys, model choice and resource limits stay on each device
+WeavesSyncManager.SYNCED_SETTINGS = [
+  'autoResetEnabled', 'resetTime', 'dataRetentionDays', 'maxPinnedConnections', 'includeArchivesInDiscovery',
+  'activeLens', 'projects', 'activeProjectId', 'includeSuspiciousContent', 'captureMode', 'captureAllowList',
+  'captureBlockList', 'defaultBlockCategories', 'pausedSites', 'piiRedactionCategories'
+];
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WeavesSyncManager;
+} else if (typeof self !== 'undefined') {
+  self.WeavesSyncManager = WeavesSyncManager;
+}
@@ -0,0 +1,95 @@
+// Weaves URL Utilities - Normalizes page URLs so the same document maps to the same key
+const WeavesUrl = {
+  // Query parameters that only track where a click came from
+  TRACKING_PARAMS: [
+    /^utm_/i, /^fbclid$/i, /^gclid$/i, /^dclid$/i, /^msclkid$/i, /^yclid$/i,
+    /^mc_cid$/i, /^mc_eid$/i, /^igshid$/i, /^_hsenc$/i, /^_hsmi$/i, /^ref_src$/i, /^si$/i
+  ],
+
+  // Second-level labels that country domains sell under, as in example.co.uk or example.com.au
+  COUNTRY_SECOND_LEVELS: ['co', 'com', 'net', 'org', 'gov', 'ac', 'edu', 'or', 'ne', 'go'],
+
+  isTrackingParam(name) {
+    return this.TRACKING_PARAMS.some(pattern => pattern.test(name));
+  },
+
+  normalize(url) {
+    try {
+      const parsed = new URL(url);
+      parsed.hash = '';
+      parsed.hostname = parsed.hostname.replace(/^www\./, '');
+
+      const kept = Array.from(parsed.searchParams.entries())
+        .filter(([name]) => !this.isTrackingParam(name))
+        .sort(([a], [b]) => a.localeCompare(b));
+      parsed.search = '';
+      kept.forEach(([name, value]) => parsed.searchParams.append(name, value));
+
+      if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+        parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+      }
+
+      return parsed.toString();
+    } catch (error) {
+      return url || '';
+    }
+  },
+
+  // The domain a site owner registers: news.example.co.uk -> example.co.uk. IP addresses are kept whole
+  registrableDomain(hostname) {
+    const host = hostname.toLowerCase().replace(/\.$/, '');
+    if (/^[\d.]+$/.test(host) || host.includes(':')) return host;
+    const labels = host.split('.');
+    const countryTld = labels.length > 2 && labels[labels.length - 1].length === 2 &&
+      this.COUNTRY_SECOND_LEVELS.includes(labels[labels.length - 2]);
+    return labels.slice(countryTld ? -3 : -2).join('.');
+  },
+
+  // Prefers the page's <link rel=canonical>, unless it is missing, not http(s), on another site or
+  // obviously wrong
+  canonicalize(url, canonicalUrl) {
+    if (canonicalUrl) {
+      try {
+        const canonical = new URL(canonicalUrl, url);
+        const page = new URL(url);
+        // Some sites point every page's canonical at their homepage, which would merge unrelated articles
+        const collapsesToRoot = canonical.pathname === '/' && page.pathname !== '/';
+        // A page may only claim to be a copy of a page on its own site, or it could overwrite another site's document
+        const sameSite = canonical.hostname === page.hostname ||
+          this.registrableDomain(canonical.hostname) === this.registrableDomain(page.hostname);
+        if (/^https?:$/.test(canonical.protocol) && !collapsesToRoot && sameSite) {
+          return this.normalize(canonical.toString());
+        }
+      } catch (error) {
+        // Fall back to the page URL
+      }
+    }
+    return this.normalize(url);
+  },
+
+  // Stable document ID derived from the canonical URL (cyrb53 hash)
+  documentId(canonicalUrl) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < canonicalUrl.length; i++) {
+      const ch = canonicalUrl.charCodeAt(i);
+      h1 = Math.imul(h1 ^ ch, 2654435761);
+      h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    const hash = 4294967296 * (2097151 & h2) + (h1 >>> 0);
+    return 'doc-' + hash.toString(16).padStart(14, '0');
+  },
+
+  isDocumentId(id) {
+    return typeof id === 'string' && id.startsWith('doc-');
+  }
+};
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WeavesUrl;
+} else if (typeof self !== 'undefined') {
+  self.WeavesUrl = WeavesUrl;
+}